@@ -0,0 +1,169 @@
+// Computer drivers that fill empty seats - they only ever produce inputs, so bot races follow the
+// same rules as everyone else and replay like any other race
+const { stepCar, copyCarPhysics, isForPlayer, getRoadAt, getTrackPosition } = require('./race-simulation');
+
+const BOT_DIFFICULTIES = {
+    easy: {
+        reactionTicks: 15, // Ticks between decisions
+        planTicks: 12, // How far ahead each candidate input is played out
+        chaseBoosts: false,
+        mistakeChance: 0.15 // Chance a decision is a random input instead
+    },
+    medium: {
+        reactionTicks: 6,
+        planTicks: 24,
+        chaseBoosts: true,
+        mistakeChance: 0.05
+    },
+    hard: {
+        reactionTicks: 2,
+        planTicks: 40,
+        chaseBoosts: true,
+        mistakeChance: 0
+    }
+};
+
+const DEFAULT_BOT_DIFFICULTY = 'medium';
+
+const BOT_NAMES = [
+    'Turbo Tina', 'Nitro Ned', 'Drift Dana', 'Piston Pete',
+    'Gearbox Gus', 'Rev Riley', 'Axle Ava', 'Clutch Cody'
+];
+
+// Inputs a bot chooses between
+const CANDIDATE_INPUTS = [
+    { up: false, down: false, left: false, right: false },
+    { up: true, down: false, left: false, right: false },
+    { up: true, down: false, left: true, right: false },
+    { up: true, down: false, left: false, right: true },
+    { up: false, down: true, left: false, right: false },
+    { up: false, down: true, left: true, right: false },
+    { up: false, down: true, left: false, right: true },
+    { up: false, down: false, left: true, right: false },
+    { up: false, down: false, left: false, right: true }
+];
+
+// How a played-out candidate is judged
+const CRASH_COST = 1000;
+const BOOST_REWARD = 200;
+const ITEM_REWARD = 150;
+const HAZARD_COST = 400; // Oil isn't as bad as a crash, but worth steering around
+const CRUISE_Y = 420; // Low on the screen leaves the most time to react
+const POSITION_WEIGHT = 0.5;
+const ANGLE_WEIGHT = 40;
+const OFF_ROAD_COST = 300;
+const PROGRESS_WEIGHT = 120; // Distance races reward driving up the road
+
+function overlaps(a, b) {
+    return a.x < b.x + b.width &&
+        a.x + a.width > b.x &&
+        a.y < b.y + b.height &&
+        a.y + a.height > b.y;
+}
+
+class BotDriver {
+    constructor(difficulty, rng) {
+        this.settings = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES[DEFAULT_BOT_DIFFICULTY];
+        this.rng = rng;
+        this.input = CANDIDATE_INPUTS[0];
+        this.ticksUntilDecision = 0;
+    }
+
+    // Next tick's input for a car, from what is coming down its lane of the road
+    decide(car, gameState, config) {
+        if (this.ticksUntilDecision <= 0) {
+            this.ticksUntilDecision = this.settings.reactionTicks;
+            this.input = this.rng() < this.settings.mistakeChance
+                ? CANDIDATE_INPUTS[Math.floor(this.rng() * CANDIDATE_INPUTS.length)]
+                : this.plan(car, gameState, config);
+        }
+        this.ticksUntilDecision--;
+
+        return this.input;
+    }
+
+    // Play every candidate input forward with the real car physics and keep the cheapest
+    plan(car, gameState, config) {
+        const obstacles = gameState.obstacles.filter(o => isForPlayer(o, car.playerNum));
+        const boostPads = this.settings.chaseBoosts
+            ? gameState.boostPads.filter(p => isForPlayer(p, car.playerNum) && !p.used)
+            : [];
+        const items = gameState.items.filter(item => isForPlayer(item, car.playerNum) && !item.taken);
+
+        let best = CANDIDATE_INPUTS[0];
+        let bestCost = Infinity;
+
+        CANDIDATE_INPUTS.forEach(input => {
+            const cost = this.playOut(car, input, obstacles, boostPads, items, gameState.roadOffset, config);
+            if (cost < bestCost) {
+                bestCost = cost;
+                best = input;
+            }
+        });
+
+        return best;
+    }
+
+    playOut(car, input, obstacles, boostPads, items, roadOffset, config) {
+        const future = copyCarPhysics(car);
+        future.width = car.width;
+        future.height = car.height;
+
+        let cost = 0;
+        for (let t = 1; t <= this.settings.planTicks; t++) {
+            stepCar(future, input, config, roadOffset + (t - 1) * config.scrollSpeed);
+
+            const crash = obstacles.some(o => overlaps(future, {
+                x: o.x + t * o.driftX,
+                y: o.y + t * (o.speed + config.scrollSpeed),
+                width: o.width,
+                height: o.height
+            }));
+            if (crash) {
+                // Sooner crashes are worse - there is less time to fix them later
+                cost += CRASH_COST * (this.settings.planTicks - t + 1);
+                break;
+            }
+
+            const boost = boostPads.some(p => overlaps(future, {
+                x: p.x,
+                y: p.y + t * (p.speed + config.scrollSpeed),
+                width: p.width,
+                height: p.height
+            }));
+            if (boost) {
+                cost -= BOOST_REWARD;
+                break;
+            }
+
+            const item = items.find(i => overlaps(future, {
+                x: i.x,
+                y: i.y + t * (i.speed + config.scrollSpeed),
+                width: i.width,
+                height: i.height
+            }));
+            if (item) {
+                cost += config.items.types[item.type].points < 0 ? HAZARD_COST : -ITEM_REWARD;
+                break;
+            }
+        }
+
+        // Stay low, in the middle of the road and pointing up it between hazards
+        const endOffset = roadOffset + this.settings.planTicks * config.scrollSpeed;
+        const road = getRoadAt(config.track, getTrackPosition(config, endOffset, future.y + future.height / 2));
+        const centerX = road.center - future.width / 2;
+        cost += Math.abs(future.y - CRUISE_Y) * POSITION_WEIGHT;
+        cost += Math.abs(future.x - centerX) * POSITION_WEIGHT * 0.5;
+        if (future.offRoad) {
+            cost += OFF_ROAD_COST;
+        }
+        cost += Math.abs(future.angle) * ANGLE_WEIGHT;
+        if (config.mode.type === 'distance') {
+            cost += future.velocityY * PROGRESS_WEIGHT;
+        }
+
+        return cost;
+    }
+}
+
+module.exports = { BotDriver, BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY, BOT_NAMES };
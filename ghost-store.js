@@ -0,0 +1,47 @@
+// Best time-trial runs, kept in a JSON file - one per player for every course they have raced
+const { JsonFile } = require('./json-file');
+
+// Runs only compare on the same track under the same rules
+function getCourseKey(config) {
+    const mode = config.mode;
+    const goal = mode.type === 'distance' ? mode.targetDistance
+        : mode.type === 'survival' ? mode.collisionBudget
+        : '';
+    return [config.track.id || 'straight', mode.type, config.raceDurationSeconds, goal].join(':');
+}
+
+class GhostStore {
+    constructor(filePath) {
+        this.file = new JsonFile(filePath, 'ghost store');
+        this.runs = {}; // Best runs by player id, then course key
+
+        this.load();
+    }
+
+    load() {
+        const data = this.file.read();
+        if (!data) return;
+
+        this.runs = data.runs || {};
+        console.log(`Loaded ghosts of ${Object.keys(this.runs).length} players from ${this.file.filePath}`);
+    }
+
+    save() {
+        return this.file.write({ runs: this.runs });
+    }
+
+    getBest(playerId, config) {
+        const runs = this.runs[playerId];
+        return (runs && runs[getCourseKey(config)]) || null;
+    }
+
+    setBest(playerId, config, run) {
+        if (!this.runs[playerId]) {
+            this.runs[playerId] = {};
+        }
+        this.runs[playerId][getCourseKey(config)] = run;
+        this.save();
+    }
+}
+
+module.exports = { GhostStore };
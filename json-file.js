@@ -0,0 +1,66 @@
+// A JSON file the server keeps its data in - writes go to a temp file that is swapped in, so a
+// crash mid-write never leaves half a file behind
+const fs = require('fs');
+const path = require('path');
+
+class JsonFile {
+    constructor(filePath, label) {
+        this.filePath = filePath;
+        this.label = label; // What the file holds, for log messages
+        this.writing = null; // Write in progress
+        this.queued = null; // Data waiting for the write in progress to finish
+    }
+
+    // The file's contents, or null when there is no file yet or it can't be read
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`Could not read ${this.label} ${this.filePath}:`, err.message);
+            }
+            return null;
+        }
+    }
+
+    // One write at a time - data handed over meanwhile waits its turn, and only the latest of it is
+    // written. Resolves once everything handed over so far is on disk, to whether the last write worked
+    write(data) {
+        if (this.writing) {
+            this.queued = data;
+            return this.writing;
+        }
+
+        const tempPath = `${this.filePath}.tmp`;
+
+        this.writing = fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+            .then(() => fs.promises.writeFile(tempPath, JSON.stringify(data)))
+            .then(() => fs.promises.rename(tempPath, this.filePath))
+            .then(() => true)
+            .catch(err => {
+                console.error(`Could not save ${this.label} ${this.filePath}:`, err.message);
+                return false;
+            })
+            .then(written => {
+                this.writing = null;
+                if (this.queued) {
+                    const next = this.queued;
+                    this.queued = null;
+                    return this.write(next);
+                }
+                return written;
+            });
+
+        return this.writing;
+    }
+
+    remove() {
+        fs.rm(this.filePath, { force: true }, err => {
+            if (err) {
+                console.error(`Could not remove ${this.label} ${this.filePath}:`, err.message);
+            }
+        });
+    }
+}
+
+module.exports = { JsonFile };
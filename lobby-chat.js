@@ -0,0 +1,27 @@
+// Lobby chat and quick reactions - what a message may say, and the emotes racers can fire
+const CHAT_MESSAGE_LENGTH = { min: 1, max: 200 };
+const CHAT_HISTORY = 50; // Messages a lobby remembers for people who join later
+
+// Reactions by id - the client shows them over the sender's car
+const EMOTES = {
+    gg: '🤝',
+    wow: '😮',
+    laugh: '😂',
+    fire: '🔥',
+    cry: '😭',
+    wave: '👋'
+};
+
+// Masked wherever they turn up in a word, and only as whole words (with common endings)
+const BLOCKED_STEMS = ['fuck', 'shit', 'cunt'];
+const BLOCKED_WORDS = ['bitch', 'bastard', 'asshole', 'dick', 'piss', 'slut', 'whore', 'wanker', 'twat', 'bollocks'];
+const BLOCKED_PATTERN = new RegExp(
+    `\\w*(?:${BLOCKED_STEMS.join('|')})\\w*|\\b(?:${BLOCKED_WORDS.join('|')})(?:s|es|ed|ing|er|ers)?\\b`,
+    'gi'
+);
+
+function maskProfanity(text) {
+    return text.replace(BLOCKED_PATTERN, word => '*'.repeat(word.length));
+}
+
+module.exports = { CHAT_MESSAGE_LENGTH, CHAT_HISTORY, EMOTES, maskProfanity };
@@ -2,13 +2,69 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const {
+    TICK_RATE,
+    RACE_MODES,
+    DEFAULT_CONFIG,
+    INPUT_KEYS,
+    INPUT_AXES,
+    createConfig,
+    createRng,
+    createCarState,
+    getTimeRemaining,
+    normalizeInput,
+    RaceSimulation,
+    rankPlayers,
+    getPlaces,
+    getPublicGameState
+} = require('./race-simulation');
+const { PlayerStore, LEADERBOARD_SORTS } = require('./player-store');
+const { LobbyStore } = require('./lobby-store');
+const { MatchmakingQueue } = require('./matchmaking');
+const { GhostStore } = require('./ghost-store');
+const {
+    createRaceStats,
+    recordTick,
+    summarizeRaceStats,
+    findNewAchievements,
+    describeAchievement
+} = require('./race-stats');
+const { BotDriver, BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY, BOT_NAMES } = require('./bot-driver');
+const { guardSocket, SERIES_LENGTHS } = require('./socket-guard');
+const { loadTracks, getTrackGeometry } = require('./tracks');
+const { CHAT_HISTORY, EMOTES, maskProfanity } = require('./lobby-chat');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null; // The admin API stays off without one
+const MAX_NOTICE_LENGTH = 200;
+const startedAt = Date.now();
+
+// Player accounts and race results that survive restarts
+const playerStore = new PlayerStore(path.join(DATA_DIR, 'players.json'));
+
+// Waiting lobbies, saved on shutdown and brought back on the next start
+const lobbyStore = new LobbyStore(path.join(DATA_DIR, 'lobbies.json'));
+
+// Best time-trial runs, raced as ghosts
+const ghostStore = new GhostStore(path.join(DATA_DIR, 'ghosts.json'));
+
+// Tracks lobbies can race on
+const tracks = loadTracks();
+
+// Saved accounts and lobbies hold tokens - never serve them, even when they sit next to the static files
+const dataRoute = path.relative(__dirname, DATA_DIR).split(path.sep).join('/');
+if (dataRoute && !dataRoute.startsWith('..') && !path.isAbsolute(dataRoute)) {
+    app.use(`/${dataRoute}`, (req, res) => {
+        res.status(404).end();
+    });
+}
 
 // Serve static files
 app.use(express.static(__dirname));
@@ -23,123 +79,819 @@ app.get('/lobby', (req, res) => {
     res.sendFile(path.join(__dirname, 'lobby-racing.html'));
 });
 
+// Invite links - the page joins the lobby with this code once the player has a name
+app.get('/lobby/:code', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lobby-racing.html'));
+});
+
+// Recorded races
+app.get('/replays', (req, res) => {
+    res.json(Array.from(replays.values()).reverse().map(getReplaySummary));
+});
+
+app.get('/replays/:id', (req, res) => {
+    const replay = replays.get(req.params.id);
+    if (!replay) {
+        res.status(404).json({ error: 'Replay not found' });
+        return;
+    }
+    res.json(replay);
+});
+
+// Player accounts
+app.get('/api/leaderboard', (req, res) => {
+    const sort = Object.hasOwn(LEADERBOARD_SORTS, req.query.sort) ? req.query.sort : 'bestScore';
+    res.json({ sort: sort, players: playerStore.getLeaderboard(sort, req.query.limit) });
+});
+
+app.get('/api/players/:id', (req, res) => {
+    const profile = playerStore.getPlayerProfile(req.params.id);
+    if (!profile) {
+        res.status(404).json({ error: 'Player not found' });
+        return;
+    }
+    res.json(profile);
+});
+
+app.get('/api/tracks', (req, res) => {
+    res.json(Object.values(tracks).map(track => ({
+        id: track.id,
+        name: track.name,
+        description: track.description
+    })));
+});
+
+// Admin API - every request needs the ADMIN_TOKEN as a bearer token
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        res.status(503).json({ error: 'Admin API is disabled - set ADMIN_TOKEN to turn it on' });
+        return;
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || !crypto.timingSafeEqual(hashPassword(match[1]), hashPassword(ADMIN_TOKEN))) {
+        res.status(401).json({ error: 'Invalid admin token' });
+        return;
+    }
+    next();
+}
+
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+app.use('/admin', requireAdmin, express.json());
+
+app.get('/admin/metrics', (req, res) => {
+    const allLobbies = Array.from(lobbies.values());
+    const players = allLobbies.flatMap(lobby => Object.values(lobby.players));
+
+    res.json({
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        connectedSockets: io.engine.clientsCount,
+        activeLobbies: allLobbies.length,
+        racesInProgress: allLobbies.filter(lobby => lobby.gameStarted).length,
+        players: players.filter(p => !p.isBot && p.connected).length,
+        bots: players.filter(p => p.isBot).length,
+        spectators: spectatorSockets.size,
+        queued: matchmaking.size,
+        memoryBytes: process.memoryUsage().rss,
+        lobbies: allLobbies.map(lobby => ({
+            id: lobby.id,
+            name: lobby.name,
+            gameStarted: lobby.gameStarted,
+            racers: Object.keys(lobby.players).length,
+            spectators: Object.keys(lobby.spectators).length,
+            ...lobby.getLoopStats()
+        }))
+    });
+});
+
+app.get('/admin/lobbies', (req, res) => {
+    res.json(Array.from(lobbies.values()).map(lobby => lobby.getInfo()));
+});
+
+app.get('/admin/lobbies/:id', (req, res) => {
+    const lobby = lobbies.get(req.params.id);
+    if (!lobby) {
+        res.status(404).json({ error: 'Lobby not found' });
+        return;
+    }
+    res.json(lobby.getAdminInfo());
+});
+
+app.post('/admin/lobbies/:id/kick', (req, res) => {
+    const lobby = lobbies.get(req.params.id);
+    if (!lobby) {
+        res.status(404).json({ error: 'Lobby not found' });
+        return;
+    }
+
+    const playerId = req.body && req.body.playerId;
+    if (!lobby.players[playerId] && !lobby.spectators[playerId]) {
+        res.status(404).json({ error: 'Player not found in this lobby' });
+        return;
+    }
+
+    kickFromLobby(lobby, playerId);
+    res.json({ kicked: playerId });
+});
+
+app.post('/admin/lobbies/:id/close', (req, res) => {
+    const lobby = lobbies.get(req.params.id);
+    if (!lobby) {
+        res.status(404).json({ error: 'Lobby not found' });
+        return;
+    }
+
+    closeLobby(lobby, 'This race room was closed by an admin');
+    res.json({ closed: lobby.id });
+});
+
+// A notice for everyone connected, or for one lobby
+app.post('/admin/broadcast', (req, res) => {
+    const { message, lobbyId } = req.body || {};
+    if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_NOTICE_LENGTH) {
+        res.status(400).json({ error: `message must be 1-${MAX_NOTICE_LENGTH} characters` });
+        return;
+    }
+
+    const lobby = lobbyId === undefined ? null : lobbies.get(lobbyId);
+    if (lobbyId !== undefined && !lobby) {
+        res.status(404).json({ error: 'Lobby not found' });
+        return;
+    }
+
+    (lobby ? io.to(lobby.room) : io).emit('serverNotice', { message: message.trim() });
+    res.json({ sent: true, lobbyId: lobby ? lobby.id : null });
+});
+
 // Game state management
 const lobbies = new Map();
 const playerSockets = new Map(); // Track which socket belongs to which lobby
+const spectatorSockets = new Map(); // Lobby each spectating socket is watching
+const socketAccounts = new Map(); // Player account id of each identified socket
+const replays = new Map(); // Recorded races by replay id, oldest first
+const matchmaking = new MatchmakingQueue(); // Players waiting for a quick race
+const MATCHMAKING_INTERVAL_MS = 1000;
+const MAX_STORED_REPLAYS = 50;
+
+// Simulation timing - the game advances in fixed steps, never by wall-clock time
+const TICK_MS = 1000 / TICK_RATE;
+const MAX_CATCH_UP_TICKS = 5; // Don't spiral if the server stalls
+const MAX_INPUT_QUEUE = 10; // Inputs buffered per player before the oldest get dropped
+
+// Lobby sizes
+const MIN_LOBBY_SIZE = 2;
+const MAX_LOBBY_SIZE = 8;
+const DEFAULT_LOBBY_SIZE = 2;
+const MAX_SPECTATORS = 20; // Per lobby - they get every snapshot, so they aren't free
+
+// Reconnecting - a dropped player keeps their seat, car and score for a while
+const RECONNECT_GRACE_MS = (Number(process.env.RECONNECT_GRACE_SECONDS) || 20) * 1000;
+const RESTORE_GRACE_MS = (Number(process.env.RESTORE_GRACE_SECONDS) || 60) * 1000; // After a restart, to find the server again
+const DISCONNECT_POLICIES = ['continue', 'pause']; // Whether the race goes on while someone is gone
+const DEFAULT_DISCONNECT_POLICY = DISCONNECT_POLICIES.includes(process.env.DISCONNECT_POLICY)
+    ? process.env.DISCONNECT_POLICY
+    : 'continue';
+
+// Race modes - the time limit is only a backstop in distance and survival races
+const DEFAULT_RACE_SECONDS = { timed: 30, distance: 120, survival: 90 };
+
+// Invites - short codes that are easy to read out, without look-alike characters
+const JOIN_CODE_LENGTH = 6;
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Network snapshots - sent at their own rate, independent of the simulation
+const SNAPSHOT_RATE = Number(process.env.SNAPSHOT_RATE) || 30; // Snapshots per second
+const SNAPSHOT_INTERVAL_TICKS = Math.max(1, Math.round(TICK_RATE / SNAPSHOT_RATE));
+const SNAPSHOT_HISTORY = 32; // Snapshots kept as delta bases for clients that are slow to acknowledge
+const SNAPSHOT_COLLECTIONS = ['players', 'obstacles', 'boostPads', 'items'];
+
+// How a lobby's game loop is doing - reset at the start of every race
+function createLoopStats() {
+    return {
+        startedAt: Date.now(),
+        lastTickAt: null,
+        ticks: 0,
+        tickMsTotal: 0,
+        tickMsMax: 0,
+        snapshots: 0,
+        snapshotBytes: 0
+    };
+}
+
+function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+function generateJoinCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+            code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+        }
+    } while (findLobbyByCode(code));
+    return code;
+}
+
+function findLobbyByCode(code) {
+    return Array.from(lobbies.values()).find(lobby => lobby.joinCode === code);
+}
+
+function hashPassword(password) {
+    return crypto.createHash('sha256').update(password).digest();
+}
+
+// Rules for a lobby's races from what its creator picked, with defaults for the rest
+function createRaceConfig(options) {
+    const type = RACE_MODES.includes(options.mode) ? options.mode : DEFAULT_CONFIG.mode.type;
+    return createConfig({
+        raceDurationSeconds: options.durationSeconds || DEFAULT_RACE_SECONDS[type],
+        mode: {
+            type: type,
+            targetDistance: options.targetDistance || DEFAULT_CONFIG.mode.targetDistance,
+            collisionBudget: options.collisionBudget || DEFAULT_CONFIG.mode.collisionBudget
+        },
+        track: { ...getTrackGeometry(tracks, options.trackId), shared: !!options.sharedTrack }
+    });
+}
+
+function clampLobbySize(size) {
+    const parsed = parseInt(size, 10);
+    if (Number.isNaN(parsed)) return DEFAULT_LOBBY_SIZE;
+    return Math.min(MAX_LOBBY_SIZE, Math.max(MIN_LOBBY_SIZE, parsed));
+}
+
+// What changed between two public states - everything when there is no base
+function diffGameState(base, state) {
+    const delta = {};
+
+    if (!base || base.timeRemaining !== state.timeRemaining) {
+        delta.timeRemaining = state.timeRemaining;
+    }
+    if (!base || base.roadOffset !== state.roadOffset) {
+        delta.roadOffset = state.roadOffset;
+    }
+
+    SNAPSHOT_COLLECTIONS.forEach(collection => {
+        const changes = diffCollection(base ? base[collection] : {}, state[collection]);
+        if (changes) {
+            delta[collection] = changes;
+        }
+    });
+
+    return delta;
+}
+
+// Entities that appeared or changed (only their changed fields) and ids that disappeared
+function diffCollection(base, current) {
+    const set = {};
+    const remove = Object.keys(base).filter(id => !(id in current));
+
+    Object.keys(current).forEach(id => {
+        const before = base[id];
+        const after = current[id];
+
+        if (!before) {
+            set[id] = after;
+            return;
+        }
+
+        const fields = {};
+        Object.keys(after).forEach(key => {
+            if (before[key] !== after[key]) {
+                fields[key] = after[key];
+            }
+        });
+
+        if (Object.keys(fields).length > 0) {
+            set[id] = fields;
+        }
+    });
+
+    if (Object.keys(set).length === 0 && remove.length === 0) {
+        return null;
+    }
+
+    const changes = {};
+    if (Object.keys(set).length > 0) changes.set = set;
+    if (remove.length > 0) changes.remove = remove;
+    return changes;
+}
 
 // Lobby class
 class GameLobby {
-    constructor(id, name, creatorId, creatorName) {
+    constructor(id, name, creatorId, creatorName, options = {}) {
         this.id = id;
         this.name = name;
         this.players = {};
+
+        // Time trials are one racer alone against the ghost of their best run
+        this.timeTrial = !!options.timeTrial;
+        this.maxPlayers = this.timeTrial ? 1 : clampLobbySize(options.maxPlayers);
+        this.disconnectPolicy = DISCONNECT_POLICIES.includes(options.disconnectPolicy)
+            ? options.disconnectPolicy
+            : DEFAULT_DISCONNECT_POLICY;
+        this.paused = false;
+
+        // Standings of the series being played, kept across rounds
+        this.seriesLength = !this.timeTrial && SERIES_LENGTHS.includes(options.seriesLength) ? options.seriesLength : 1;
+        this.series = null;
+
+        // Private lobbies stay out of the lobby list and can only be joined with the code
+        this.joinCode = generateJoinCode();
+        this.isPrivate = this.timeTrial || !!options.isPrivate;
+        this.passwordHash = options.password ? hashPassword(options.password) : null;
+        this.hostId = creatorId;
+        this.room = `lobby:${id}`; // Socket.IO room of everyone in the lobby, spectators included
+        this.spectators = {}; // Sockets watching without a seat, by socket id
+        this.chat = []; // Recent chat messages, oldest first
+        this.chatSeq = 0;
         this.gameStarted = false;
         this.gameState = {
             obstacles: [],
             boostPads: [],
+            items: [],
             roadOffset: 0
         };
         this.gameLoop = null;
         this.createdAt = Date.now();
+        this.loopStats = createLoopStats();
+
+        // Rules every race in this lobby runs with
+        this.config = createRaceConfig(options);
+
+        // Deterministic simulation of the current race
+        this.simulation = null;
+        this.seed = null;
+
+        // Input recording of the current race, saved as a replay when it finishes
+        this.recording = null;
+        this.lastRecordedInputs = {};
+
+        // Best run a time trial races against, and the car path of the run in progress
+        this.ghost = null;
+        this.ghostRecording = null;
+
+        // Sent snapshots and the last one each client acknowledged, for delta compression
+        this.snapshotSeq = 0;
+        this.snapshotHistory = new Map();
+        this.snapshotAcks = {};
 
-        // Add creator as first player
-        this.addPlayer(creatorId, creatorName);
+        // Add creator as first player - restored lobbies bring their own players
+        if (creatorId) {
+            this.addPlayer(creatorId, creatorName);
+        }
     }
 
-    addPlayer(socketId, playerName) {
-        if (Object.keys(this.players).length >= 2) {
-            return false; // Lobby full
+    addPlayer(socketId, playerName, options = {}) {
+        if (Object.keys(this.players).length >= this.maxPlayers) {
+            // A human can take a bot's seat while the lobby is waiting
+            const bot = !options.bot && !this.gameStarted && Object.values(this.players).find(p => p.isBot);
+            if (!bot) {
+                return false; // Lobby full
+            }
+            this.removePlayer(bot.id);
+        }
+
+        // Take the lowest free seat, so seats freed by leavers get reused
+        const takenSeats = Object.values(this.players).map(p => p.playerNum);
+        let playerNum = 1;
+        while (takenSeats.includes(playerNum)) {
+            playerNum++;
+        }
+
+        this.players[socketId] = this.createPlayer(socketId, playerNum, playerName, options.bot, options.ownerId);
+
+        if (!options.bot && !options.ownerId) {
+            playerSockets.set(socketId, this.id);
+            io.in(socketId).socketsJoin(this.room);
         }
 
-        const playerNum = Object.keys(this.players).length + 1;
+        return true;
+    }
 
-        this.players[socketId] = {
+    createPlayer(socketId, playerNum, playerName, botDifficulty, ownerId) {
+        return {
             id: socketId,
             playerNum: playerNum,
             name: playerName,
-            x: 200,
-            y: 500,
-            width: 30,
-            height: 60,
-            speed: 0,
-            maxSpeed: 8,
-            angle: 0,
-            velocityX: 0,
-            velocityY: 0,
-            turnSpeed: 0,
-            boosting: false,
-            boostTime: 0,
-            score: 0,
-            streak: 0,
-            multiplier: 1,
-            perfectCount: 0,
-            lastObstacleTime: Date.now(),
-            comboTimer: 0,
-            nearMissCount: 0,
-            input: { up: false, down: false, left: false, right: false }
+            accountId: socketAccounts.get(socketId) || null,
+            sessionToken: crypto.randomBytes(16).toString('hex'), // Lets a dropped connection reclaim the seat
+            connected: true,
+            reconnectTimer: null,
+            isBot: !!botDifficulty,
+            botDifficulty: botDifficulty || null,
+            ownerId: ownerId || null, // Connection a local second racer shares the keyboard of
+            driver: null, // Bot brain for the current race
+            ready: !!botDifficulty || !!ownerId, // Bots are always ready, local racers go when their owner does
+            ...createCarState(this.config),
+            input: { up: false, down: false, left: false, right: false },
+            inputQueue: [], // Sequenced inputs waiting for their tick
+            lastInput: 0 // Sequence number of the last input applied
         };
+    }
 
-        playerSockets.set(socketId, this.id);
+    // A second racer on the same keyboard - they race in their own seat, but every message goes
+    // through the connection that added them
+    addLocalPlayer(ownerId, playerName) {
+        if (this.gameStarted || !this.players[ownerId] || this.getLocalPlayer(ownerId)) return false;
 
-        // Start game when we have 2 players
-        if (Object.keys(this.players).length === 2) {
-            this.startGame();
-        }
+        return this.addPlayer(`local:${uuidv4()}`, playerName, { ownerId: ownerId });
+    }
 
+    getLocalPlayer(ownerId) {
+        return Object.values(this.players).find(p => p.ownerId === ownerId) || null;
+    }
+
+    // Watch the lobby's races without taking a seat
+    addSpectator(socketId, name) {
+        if (Object.keys(this.spectators).length >= MAX_SPECTATORS) return false;
+
+        this.spectators[socketId] = { id: socketId, name: name };
+        spectatorSockets.set(socketId, this.id);
+        io.in(socketId).socketsJoin(this.room);
         return true;
     }
 
+    removeSpectator(socketId) {
+        delete this.spectators[socketId];
+        delete this.snapshotAcks[socketId];
+        spectatorSockets.delete(socketId);
+        io.in(socketId).socketsLeave(this.room);
+    }
+
+    // The lobby is going away - send everyone still watching back to the lobby list
+    dismissSpectators() {
+        Object.keys(this.spectators).forEach(socketId => {
+            io.to(socketId).emit('lobbyClosed', { reason: 'Everyone racing left' });
+            this.removeSpectator(socketId);
+        });
+    }
+
+    // Racers and spectators can both chat - the name is whatever they joined with
+    addChatMessage(socketId, text) {
+        const sender = this.players[socketId] || this.spectators[socketId];
+        if (!sender) return;
+
+        const message = {
+            id: ++this.chatSeq,
+            name: sender.name,
+            playerNum: sender.playerNum || null, // Spectators have no seat
+            text: maskProfanity(text),
+            sentAt: Date.now()
+        };
+
+        this.chat.push(message);
+        if (this.chat.length > CHAT_HISTORY) {
+            this.chat.splice(0, this.chat.length - CHAT_HISTORY);
+        }
+        io.to(this.room).emit('chatMessage', message);
+    }
+
+    sendEmote(socketId, emote) {
+        const sender = this.players[socketId] || this.spectators[socketId];
+        if (!sender) return;
+
+        io.to(this.room).emit('emote', {
+            name: sender.name,
+            playerNum: sender.playerNum || null,
+            emote: emote,
+            icon: EMOTES[emote]
+        });
+    }
+
+    checkPassword(password) {
+        if (!this.passwordHash) return true;
+        return typeof password === 'string' && crypto.timingSafeEqual(hashPassword(password), this.passwordHash);
+    }
+
+    // Fill a seat with a computer driver
+    addBot(difficulty) {
+        if (this.gameStarted) return false;
+
+        const level = BOT_DIFFICULTIES[difficulty] ? difficulty : DEFAULT_BOT_DIFFICULTY;
+        const takenNames = Object.values(this.players).map(p => p.name);
+        const name = BOT_NAMES.find(n => !takenNames.includes(n)) || 'Bot';
+
+        return this.addPlayer(`bot:${uuidv4()}`, name, { bot: level });
+    }
+
     removePlayer(socketId) {
+        const player = this.players[socketId];
+        if (player && player.reconnectTimer) {
+            clearTimeout(player.reconnectTimer);
+        }
+
+        // A local racer leaves with the connection they play on
+        const localPlayer = this.getLocalPlayer(socketId);
+
+        // The race goes on without them, so the replay has to take their cars off at the same tick
+        if (this.gameStarted) {
+            [player, localPlayer].filter(Boolean).forEach(p => {
+                this.recording.departures.push({ tick: this.simulation.tick, playerNum: p.playerNum });
+            });
+        }
+
+        if (localPlayer) {
+            delete this.players[localPlayer.id];
+        }
+
         delete this.players[socketId];
+        delete this.snapshotAcks[socketId];
         playerSockets.delete(socketId);
+        io.in(socketId).socketsLeave(this.room);
 
-        if (Object.keys(this.players).length === 0) {
-            // Empty lobby, clean up
+        if (!Object.values(this.players).some(p => !p.isBot)) {
+            // No humans left, clean up
             if (this.gameLoop) {
                 clearInterval(this.gameLoop);
             }
             return true; // Should be deleted
         }
 
+        // Hand the lobby over to the longest-standing player
+        if (this.hostId === socketId) {
+            this.hostId = Object.values(this.players).find(p => !p.isBot && !p.ownerId).id;
+        }
+
         // If game was running and now we don't have enough players
-        if (this.gameStarted && Object.keys(this.players).length < 2) {
+        if (this.gameStarted && Object.keys(this.players).length < MIN_LOBBY_SIZE) {
             this.endGame();
         }
 
+        this.updatePause();
+        this.broadcastLobbyState();
+
         return false;
     }
 
-    startGame() {
+    // Hold a dropped player's seat for the grace window instead of removing them right away
+    dropPlayer(socketId) {
+        const player = this.players[socketId];
+        if (!player) return;
+
+        [player, this.getLocalPlayer(socketId)].filter(Boolean).forEach(p => {
+            p.connected = false;
+            p.input = normalizeInput(null); // Coast until they're back
+            p.inputQueue = [];
+        });
+        playerSockets.delete(socketId);
+        delete this.snapshotAcks[socketId];
+
+        this.holdSeat(player, RECONNECT_GRACE_MS);
+
+        this.updatePause();
+        io.to(this.room).emit('playerDropped', {
+            name: player.name,
+            graceSeconds: RECONNECT_GRACE_MS / 1000,
+            paused: this.paused
+        });
+        this.broadcastLobbyState();
+    }
+
+    // Give a player who is gone a while to come back before their seat is freed
+    holdSeat(player, ms) {
+        player.reconnectTimer = setTimeout(() => {
+            player.reconnectTimer = null;
+            console.log(`${player.name} did not reconnect to lobby: ${this.name}`);
+            removePlayerFromLobby(this, player.id);
+        }, ms);
+    }
+
+    // Move the seat, car and score a session token belongs to over to a new connection
+    resumePlayer(sessionToken, socketId) {
+        const player = Object.values(this.players).find(p => p.sessionToken === sessionToken);
+        if (!sessionToken || !player) return null;
+
+        const oldId = player.id;
+        if (player.connected) {
+            // The old connection hasn't noticed it is gone yet
+            playerSockets.delete(oldId);
+            io.in(oldId).socketsLeave(this.room);
+        }
+        if (player.reconnectTimer) {
+            clearTimeout(player.reconnectTimer);
+            player.reconnectTimer = null;
+        }
+
+        this.renamePlayer(oldId, socketId);
+        delete this.snapshotAcks[oldId];
+        if (this.hostId === oldId) {
+            this.hostId = socketId;
+        }
+
+        player.connected = true;
+        player.accountId = socketAccounts.get(socketId) || player.accountId;
+        player.inputQueue = [];
+        player.lastInput = 0; // The new connection numbers its inputs from scratch
+
+        const localPlayer = this.getLocalPlayer(oldId);
+        if (localPlayer) {
+            localPlayer.ownerId = socketId;
+            localPlayer.connected = true;
+            localPlayer.inputQueue = [];
+            localPlayer.lastInput = 0;
+        }
+
+        playerSockets.set(socketId, this.id);
+        io.in(socketId).socketsJoin(this.room);
+
+        this.updatePause();
+        io.to(this.room).except(socketId).emit('playerReconnected', { name: player.name });
+
+        return player;
+    }
+
+    // Re-key a player without changing seat order - the simulation steps players in this order
+    renamePlayer(oldId, newId) {
+        const entries = Object.entries(this.players);
+        entries.forEach(([id]) => {
+            delete this.players[id];
+        });
+        entries.forEach(([id, player]) => {
+            this.players[id === oldId ? newId : id] = player;
+        });
+        this.players[newId].id = newId;
+    }
+
+    // With the pause policy the race waits while anyone is reconnecting
+    updatePause() {
+        const paused = this.gameStarted && this.disconnectPolicy === 'pause' &&
+            Object.values(this.players).some(p => !p.connected);
+        if (paused === this.paused) return;
+
+        this.paused = paused;
+        io.to(this.room).emit('racePaused', { paused: paused });
+    }
+
+    setReady(socketId, ready) {
+        const player = this.players[socketId];
+        if (!player || this.gameStarted) return;
+
+        player.ready = !!ready;
+        this.broadcastLobbyState();
+    }
+
+    // Why the host can't start yet, or null when the race can start
+    getStartBlocker() {
+        const playerArray = Object.values(this.players);
+
+        if (this.gameStarted) {
+            return 'The race is already running';
+        }
+        if (playerArray.length < MIN_LOBBY_SIZE && !this.timeTrial) {
+            return `At least ${MIN_LOBBY_SIZE} racers are needed`;
+        }
+        if (playerArray.some(p => !p.connected)) {
+            return 'Waiting for everyone to reconnect';
+        }
+        if (playerArray.some(p => p.id !== this.hostId && !p.ready)) {
+            return 'Not everyone is ready yet';
+        }
+        return null;
+    }
+
+    resetReady() {
+        Object.values(this.players).forEach(player => {
+            player.ready = player.isBot || !!player.ownerId; // Bots and local racers are always ready
+        });
+    }
+
+    startGame(seed = generateSeed()) {
         this.gameStarted = true;
-        this.gameStartTime = Date.now();
-        this.gameDuration = 30000; // 30 seconds in milliseconds
+
+        // A time trial reruns the traffic of the best run, so the ghost drove the same road
+        this.ghost = this.timeTrial ? this.getBestRun() : null;
+        if (this.ghost) {
+            seed = this.ghost.seed;
+        }
+
+        // The first round after a series is decided starts a new one
+        if (this.seriesLength > 1 && (!this.series || this.series.champion)) {
+            this.series = {
+                round: 0,
+                winsNeeded: Math.floor(this.seriesLength / 2) + 1,
+                standings: new Map(), // By player object, so a resumed connection keeps its standing
+                champion: null
+            };
+        }
+        this.gameDurationTicks = this.config.raceDurationSeconds * this.config.tickRate;
         this.gameEnded = false;
+        this.loopStats = createLoopStats();
 
-        this.gameState = {
-            obstacles: [],
-            boostPads: [],
-            roadOffset: 0,
-            timeRemaining: 30
-        };
+        // Every race starts from the same car state, with input sequence numbers starting over
+        Object.values(this.players).forEach(player => {
+            Object.assign(player, createCarState(this.config));
+            player.inputQueue = [];
+            player.lastInput = 0;
+            player.raceStats = createRaceStats();
+        });
+
+        this.simulation = new RaceSimulation(this.players, seed, this.config);
+        this.seed = this.simulation.seed;
+        this.gameState = this.simulation.gameState;
 
-        // Broadcast game start to lobby players
-        Object.keys(this.players).forEach(socketId => {
-            io.to(socketId).emit('gameStart');
+        // Bots drive from their own seeded RNG, so they race the same way every time
+        Object.values(this.players).forEach(player => {
+            player.driver = player.isBot
+                ? new BotDriver(player.botDifficulty, createRng(this.seed + player.playerNum))
+                : null;
         });
 
+        // Player order matters for the simulation, so the recording keeps it
+        this.recording = {
+            seed: this.seed,
+            config: this.config,
+            durationTicks: this.gameDurationTicks,
+            players: Object.values(this.players).map(p => ({
+                id: p.id,
+                playerNum: p.playerNum,
+                name: p.name
+            })),
+            inputs: [],
+            departures: [] // Racers who left mid-race, with the tick they were gone by
+        };
+        this.lastRecordedInputs = {};
+
+        if (this.timeTrial) {
+            this.ghostRecording = { player: this.getTimeTrialRacer(), frames: [] };
+            this.recordGhostFrame();
+        }
+
+        // Every client starts the race from a full snapshot
+        this.snapshotHistory.clear();
+        this.snapshotAcks = {};
+
+        // Broadcast game start to lobby players, with the rules they predict their car by
+        io.to(this.room).emit('gameStart', { config: this.config, ghost: this.getGhostData() });
+
         // Start game loop
+        this.lastLoopTime = Date.now();
+        this.tickAccumulator = 0;
         this.gameLoop = setInterval(() => {
+            this.runTicks();
+        }, TICK_MS);
+    }
+
+    // Step the simulation in fixed ticks to catch up with real time
+    runTicks() {
+        const now = Date.now();
+        const elapsed = now - this.lastLoopTime;
+        this.lastLoopTime = now;
+
+        // Time spent paused is not caught up on
+        if (this.paused) return;
+        this.tickAccumulator += elapsed;
+
+        let steps = 0;
+        while (this.gameLoop && this.tickAccumulator >= TICK_MS && steps < MAX_CATCH_UP_TICKS) {
+            const tickStart = performance.now();
             this.updateGame();
-            this.broadcastGameState();
-        }, 1000 / 60); // 60 FPS
+            this.tickAccumulator -= TICK_MS;
+            steps++;
+
+            if (this.gameLoop && this.simulation.tick % SNAPSHOT_INTERVAL_TICKS === 0) {
+                this.broadcastGameState();
+            }
+            this.recordTick(performance.now() - tickStart);
+        }
+
+        if (steps === MAX_CATCH_UP_TICKS) {
+            this.tickAccumulator = 0;
+        }
+    }
+
+    recordTick(ms) {
+        const stats = this.loopStats;
+        stats.ticks++;
+        stats.tickMsTotal += ms;
+        stats.tickMsMax = Math.max(stats.tickMsMax, ms);
+        stats.lastTickAt = Date.now();
+    }
+
+    // Tick cost and snapshot bandwidth of the current or last race
+    getLoopStats() {
+        const stats = this.loopStats;
+        const seconds = stats.lastTickAt ? Math.max(1, (stats.lastTickAt - stats.startedAt) / 1000) : 1;
+        return {
+            ticks: stats.ticks,
+            avgTickMs: stats.ticks > 0 ? Math.round(stats.tickMsTotal / stats.ticks * 1000) / 1000 : 0,
+            maxTickMs: Math.round(stats.tickMsMax * 1000) / 1000,
+            snapshots: stats.snapshots,
+            bytesSent: stats.snapshotBytes,
+            bytesPerSecond: Math.round(stats.snapshotBytes / seconds)
+        };
     }
 
     finishGame() {
         this.gameEnded = true;
 
-        // Determine winner
-        const playerArray = Object.values(this.players);
-        playerArray.sort((a, b) => b.score - a.score);
+        // Determine winner by the mode's rules
+        const playerArray = rankPlayers(this.players, this.config);
+        const places = getPlaces(playerArray, this.config);
 
         const winner = playerArray[0];
         const gameResults = {
@@ -148,49 +900,230 @@ class GameLobby {
                 playerNum: winner.playerNum,
                 score: Math.floor(winner.score)
             } : null,
-            players: playerArray.map(p => ({
+            players: playerArray.map((p, index) => ({
                 name: p.name,
                 playerNum: p.playerNum,
-                score: Math.floor(p.score)
+                place: places[index],
+                accountId: p.accountId,
+                isBot: p.isBot,
+                score: Math.floor(p.score),
+                distance: Math.floor(p.distance),
+                collisions: p.collisions,
+                finished: p.finishTick !== null,
+                eliminated: p.eliminatedTick !== null
             })),
-            gameTime: 30
+            mode: this.config.mode.type,
+            gameTime: Math.round(this.simulation.tick / this.config.tickRate),
+            seed: this.seed,
+            ticks: this.simulation.tick
         };
 
+        if (this.series) {
+            gameResults.series = this.recordSeriesRound(playerArray);
+        }
+        if (this.ghostRecording) {
+            gameResults.timeTrial = this.saveGhost();
+        }
+
+        gameResults.replayId = this.saveReplay(gameResults);
+
+        // A time trial is a race against yourself - it stays out of the career totals and ratings
+        if (!this.timeTrial) {
+            const ratings = playerStore.recordRace({
+                finishedAt: Date.now(),
+                lobbyName: this.name,
+                seed: this.seed,
+                replayId: gameResults.replayId,
+                results: gameResults.players
+            });
+            gameResults.players.forEach(p => {
+                const rating = ratings[p.accountId];
+                if (rating) {
+                    p.rating = rating.rating;
+                    p.ratingChange = rating.change;
+                }
+            });
+        }
+
+        // Achievements for the race as a whole, now the career totals include it - time trials
+        // only earn the ones for the race itself
+        playerArray.forEach((player, index) => {
+            const result = gameResults.players[index];
+            if (player.accountId) {
+                this.awardAchievements(player, {
+                    stats: player.raceStats,
+                    result: result,
+                    place: result.place,
+                    racers: playerArray.length,
+                    account: this.timeTrial ? null : playerStore.getPlayer(player.accountId)
+                }, false);
+            }
+            result.stats = summarizeRaceStats(player.raceStats);
+            result.achievements = player.raceStats.achievements.map(describeAchievement);
+        });
+
         // Stop game loop
         if (this.gameLoop) {
             clearInterval(this.gameLoop);
             this.gameLoop = null;
         }
 
+        // Back to the waiting room - the next race needs a new ready-check
+        this.gameStarted = false;
+        this.paused = false;
+        this.resetReady();
+
         // Send game results to all players
-        Object.keys(this.players).forEach(socketId => {
-            io.to(socketId).emit('gameFinished', gameResults);
-        });
+        io.to(this.room).emit('gameFinished', gameResults);
+
+        this.broadcastLobbyState();
+        broadcastLobbyUpdates();
     }
 
-    restartGame() {
-        // Reset player positions and scores for new game
-        Object.values(this.players).forEach(player => {
-            player.x = 200;
-            player.y = 500;
-            player.speed = 0;
-            player.angle = 0;
-            player.velocityX = 0;
-            player.velocityY = 0;
-            player.score = 0;
-            player.streak = 0;
-            player.multiplier = 1;
-            player.boosting = false;
-            player.boostTime = 0;
+    // Add a finished round to the series standings - racers score a point for every racer they beat
+    recordSeriesRound(ranking) {
+        const series = this.series;
+        series.round++;
+
+        ranking.forEach((player, index) => {
+            if (!series.standings.has(player)) {
+                series.standings.set(player, { wins: 0, points: 0, totalScore: 0, rounds: 0 });
+            }
+
+            const standing = series.standings.get(player);
+            standing.rounds++;
+            standing.points += ranking.length - index - 1;
+            standing.totalScore += Math.floor(player.score);
+            if (index === 0) {
+                standing.wins++;
+            }
         });
 
-        // Start new game
-        this.startGame();
+        const standings = this.getSeriesStandings();
+        const leader = standings[0];
+        if (leader && (leader.wins >= series.winsNeeded || series.round >= this.seriesLength)) {
+            series.champion = { name: leader.name, playerNum: leader.playerNum };
+        }
+
+        return this.getSeriesInfo();
+    }
+
+    // Most round wins first, then points, then total score
+    getSeriesStandings() {
+        return Array.from(this.series.standings, ([player, standing]) => ({
+            name: player.name,
+            playerNum: player.playerNum,
+            isBot: player.isBot,
+            inLobby: this.players[player.id] === player,
+            ...standing
+        })).sort((a, b) => b.wins - a.wins || b.points - a.points || b.totalScore - a.totalScore);
+    }
+
+    getSeriesInfo() {
+        if (!this.series) return null;
+
+        return {
+            length: this.seriesLength,
+            round: this.series.round,
+            winsNeeded: this.series.winsNeeded,
+            standings: this.getSeriesStandings(),
+            champion: this.series.champion
+        };
+    }
+
+    // The one human in a time trial
+    getTimeTrialRacer() {
+        return Object.values(this.players).find(p => !p.isBot && !p.ownerId) || null;
+    }
+
+    // The time trial racer's best run on this lobby's course - runs are kept per account
+    getBestRun() {
+        const racer = this.getTimeTrialRacer();
+        return racer && racer.accountId ? ghostStore.getBest(racer.accountId, this.config) : null;
+    }
+
+    getBestRunInfo() {
+        const best = this.getBestRun();
+        return best ? { score: best.score, recordedAt: best.recordedAt } : null;
+    }
+
+    // What clients need to draw the ghost of the race in progress
+    getGhostData() {
+        if (!this.ghost) return null;
+
+        return {
+            score: this.ghost.score,
+            recordedAt: this.ghost.recordedAt,
+            frames: this.ghost.frames
+        };
+    }
+
+    // Where the time trial car is after every tick, from the start line on - [x, y, angle, score]
+    recordGhostFrame() {
+        const car = this.ghostRecording.player;
+        this.ghostRecording.frames.push([
+            Math.round(car.x * 10) / 10,
+            Math.round(car.y * 10) / 10,
+            Math.round(car.angle * 1000) / 1000,
+            Math.floor(car.score)
+        ]);
+    }
+
+    // Keep the finished run as the new ghost if it beats the best one, by the mode's own ranking
+    saveGhost() {
+        const car = this.ghostRecording.player;
+        const run = {
+            seed: this.seed,
+            score: Math.floor(car.score),
+            distance: car.distance,
+            finishTick: car.finishTick,
+            eliminatedTick: car.eliminatedTick,
+            recordedAt: Date.now(),
+            frames: this.ghostRecording.frames
+        };
+        this.ghostRecording = null;
+
+        const best = this.getBestRun();
+        const newBest = !best || rankPlayers({ best: best, run: run }, this.config)[0] === run; // Ties keep the old run
+        if (newBest && car.accountId) {
+            ghostStore.setBest(car.accountId, this.config, run);
+        }
+
+        return {
+            score: run.score,
+            bestScore: best ? best.score : null,
+            newBest: newBest
+        };
+    }
+
+    saveReplay(gameResults) {
+        const replay = {
+            id: uuidv4(),
+            lobbyName: this.name,
+            recordedAt: Date.now(),
+            ticks: gameResults.ticks,
+            ...this.recording,
+            results: {
+                winner: gameResults.winner,
+                players: gameResults.players
+            }
+        };
+
+        replays.set(replay.id, replay);
+
+        // Forget the oldest replays once we hit the limit
+        while (replays.size > MAX_STORED_REPLAYS) {
+            replays.delete(replays.keys().next().value);
+        }
+
+        return replay.id;
     }
 
     endGame() {
         this.gameStarted = false;
         this.gameEnded = false;
+        this.paused = false;
+        this.ghostRecording = null;
 
         if (this.gameLoop) {
             clearInterval(this.gameLoop);
@@ -199,353 +1132,427 @@ class GameLobby {
 
         // Reset player positions and scores
         Object.values(this.players).forEach(player => {
-            player.x = 200;
-            player.y = 500;
-            player.speed = 0;
-            player.angle = 0;
-            player.score = 0;
-            player.streak = 0;
-            player.multiplier = 1;
+            Object.assign(player, createCarState(this.config));
         });
+        this.resetReady();
 
-        // Send players back to lobby
-        Object.keys(this.players).forEach(socketId => {
-            io.to(socketId).emit('returnToLobby');
-        });
+        // Send players back to the waiting room
+        io.to(this.room).emit('returnToLobby');
     }
 
     updateGame() {
         // Check if game should end
         if (!this.gameEnded) {
-            const elapsed = Date.now() - this.gameStartTime;
-            const timeRemaining = Math.max(0, Math.ceil((this.gameDuration - elapsed) / 1000));
+            const timeRemaining = getTimeRemaining(this.simulation.tick, this.gameDurationTicks, this.config);
 
             this.gameState.timeRemaining = timeRemaining;
 
-            if (timeRemaining <= 0) {
+            if (timeRemaining <= 0 || this.simulation.isOver()) {
                 this.finishGame();
                 return;
             }
         }
 
-        // Update players
-        Object.values(this.players).forEach(player => {
-            this.updatePlayer(player);
-        });
-
-        // Create obstacles
-        if (Math.random() < 0.01) {
-            this.createObstacles();
-        }
-
-        // Create boost pads
-        if (Math.random() < 0.005) {
-            this.createBoostPads();
-        }
-
-        // Update obstacles and boost pads
-        this.updateObstacles();
-        this.updateBoostPads();
-
-        // Check collisions
-        this.checkCollisions();
-    }
-
-    updatePlayer(player) {
-        if (!player.input) return;
-
-        const input = player.input;
-
-        // Handle boost timing
-        if (player.boosting) {
-            player.boostTime--;
-            if (player.boostTime <= 0) {
-                player.boosting = false;
-                player.maxSpeed = 8;
-            }
-        }
-
-        // Player acceleration/deceleration
-        let targetSpeed = 0;
-        if (input.up) {
-            targetSpeed = player.boosting ? 15 : player.maxSpeed;
-        }
-        if (input.down) {
-            targetSpeed = -player.maxSpeed / 2;
+        this.applyInputs();
+        const scoresBefore = Object.values(this.players).map(p => p.score);
+        this.simulation.step();
+        if (this.ghostRecording) {
+            this.recordGhostFrame();
         }
 
-        // Smooth speed transitions
-        const speedDiff = targetSpeed - player.speed;
-        player.speed += speedDiff * 0.3;
-        player.speed *= 0.95;
-
-        // Improved steering
-        const steeringSensitivity = Math.min(1, Math.abs(player.speed) / 4);
-        const maxSteer = 4 * steeringSensitivity;
-
-        if (input.left) {
-            player.turnSpeed = Math.max(player.turnSpeed - 0.4, -maxSteer);
-        } else if (input.right) {
-            player.turnSpeed = Math.min(player.turnSpeed + 0.4, maxSteer);
-        } else {
-            player.turnSpeed *= 0.85;
-        }
-
-        // Apply turning
-        const turnInfluence = Math.min(1, Math.abs(player.speed) / 3);
-        player.angle += (player.turnSpeed * 0.02) * turnInfluence;
-
-        // Physics-based movement
-        const forwardX = Math.sin(player.angle);
-        const forwardY = -Math.cos(player.angle);
-
-        player.velocityX += forwardX * player.speed * 0.1;
-        player.velocityY += forwardY * player.speed * 0.1;
+        const events = this.simulation.takeEvents();
+        this.recordStats(scoresBefore, events);
+
+        // Send score events for visual effects
+        events.forEach(event => {
+            // Everyone hears when a racer crosses the line or gets knocked out
+            if (event.type === 'finished' || event.type === 'eliminated') {
+                const player = this.players[event.playerId];
+                io.to(this.room).emit('racerStatus', {
+                    name: player.name,
+                    playerNum: player.playerNum,
+                    status: event.type
+                });
+                return;
+            }
 
-        // Air resistance
-        player.velocityX *= 0.95;
-        player.velocityY *= 0.95;
+            // One for every obstacle passed - they only count towards the stats
+            if (event.type === 'dodge') return;
 
-        // Update position
-        player.x += player.velocityX;
-        player.y += player.velocityY;
+            const player = this.players[event.playerId];
+            io.to(player.ownerId || player.id).emit('scoreEvent', event); // Local racers' popups go to their owner's screen
+        });
+    }
 
-        // Keep player on screen
-        player.x = Math.max(30, Math.min(370, player.x));
-        player.y = Math.max(50, Math.min(550, player.y));
+    // Add the last tick to every racer's stats, and hand out the achievements that got them to
+    recordStats(scoresBefore, events) {
+        Object.values(this.players).forEach((player, index) => {
+            const playerEvents = events.filter(event => event.playerId === player.id);
+            recordTick(player.raceStats, player, playerEvents, player.score - scoresBefore[index]);
 
-        // Update score with visual feedback
-        const speedPoints = Math.floor(Math.abs(player.speed) * 0.1);
-        player.score += speedPoints * player.multiplier;
+            if (player.accountId) {
+                this.awardAchievements(player, { stats: player.raceStats, config: this.config }, true);
+            }
+        });
+    }
 
-        // Add speed bonus visual effects every 60 frames (~1 second)
-        if (!player.speedBonusTimer) player.speedBonusTimer = 0;
-        player.speedBonusTimer++;
+    // Live achievements are announced over the car like a score popup, the rest on the results screen
+    awardAchievements(player, context, live) {
+        const earned = findNewAchievements(context, playerStore.getAchievements(player.accountId), live);
+        if (earned.length === 0) return;
 
-        if (player.speedBonusTimer >= 60 && speedPoints > 0) {
-            const bonusPoints = Math.floor(speedPoints * player.multiplier * 5); // Make it visible
-            io.to(player.id).emit('scoreEvent', {
+        playerStore.awardAchievements(player.accountId, earned);
+        player.raceStats.achievements.push(...earned);
+        earned.forEach(id => {
+            io.to(player.ownerId || player.id).emit('achievementUnlocked', {
                 playerId: player.id,
-                type: 'speed',
-                points: bonusPoints,
                 x: player.x,
-                y: player.y
+                y: player.y,
+                ...describeAchievement(id)
             });
-            player.speedBonusTimer = 0;
-        }
+        });
+    }
 
-        // Update combo timer and streak decay
-        if (player.comboTimer > 0) {
-            player.comboTimer--;
-            if (player.comboTimer === 0) {
-                player.multiplier = Math.max(1, player.multiplier - 0.5);
-            }
-        }
+    // Clients send one input per tick - buffer them so every input gets exactly one tick
+    queueInput(socketId, seq, input) {
+        const player = this.players[socketId];
+        if (!player || !this.gameStarted) return;
 
-        if (Date.now() - player.lastObstacleTime > 3000) {
-            if (player.streak > 0) {
-                player.streak = Math.max(0, player.streak - 1);
-                player.multiplier = 1 + (player.streak * 0.2);
-            }
-            player.lastObstacleTime = Date.now();
+        const lastQueued = player.inputQueue.length > 0
+            ? player.inputQueue[player.inputQueue.length - 1].seq
+            : player.lastInput;
+        if (!(seq > lastQueued)) return; // Stale or duplicate
+
+        player.inputQueue.push({ seq, input: normalizeInput(input) });
+        if (player.inputQueue.length > MAX_INPUT_QUEUE) {
+            player.inputQueue.splice(0, player.inputQueue.length - MAX_INPUT_QUEUE);
         }
     }
 
-    createObstacles() {
+    // Take each player's next queued input (or keep the last one) and record it whenever it
+    // changes, keyed by the tick it applies to
+    applyInputs() {
+        const tick = this.simulation.tick;
+
         Object.values(this.players).forEach(player => {
-            const obstacle = {
-                id: Date.now() + Math.random(),
-                x: Math.random() * 320 + 40,
-                y: -50,
-                width: 30,
-                height: 60,
-                speed: 2 + Math.random() * 3,
-                playerNum: player.playerNum
-            };
-            this.gameState.obstacles.push(obstacle);
+            if (player.driver) {
+                player.input = player.driver.decide(player, this.gameState, this.config);
+            }
+
+            const queued = player.inputQueue.shift();
+            if (queued) {
+                player.input = queued.input;
+                player.lastInput = queued.seq;
+            }
+
+            const input = normalizeInput(player.input);
+            player.input = input;
+
+            const last = this.lastRecordedInputs[player.playerNum];
+            if (!last || INPUT_KEYS.concat(INPUT_AXES).some(key => last[key] !== input[key])) {
+                this.recording.inputs.push({ tick, playerNum: player.playerNum, input });
+                this.lastRecordedInputs[player.playerNum] = input;
+            }
         });
     }
 
-    createBoostPads() {
-        Object.values(this.players).forEach(player => {
-            const boostPad = {
-                id: Date.now() + Math.random(),
-                x: Math.random() * 280 + 60,
-                y: -80,
-                width: 60,
-                height: 30,
-                speed: 2,
-                used: false,
-                playerNum: player.playerNum
+    // Send each client what changed since the last snapshot it acknowledged
+    broadcastGameState() {
+        const state = getPublicGameState(this.players, this.gameState);
+        const snapshotId = ++this.snapshotSeq;
+
+        this.snapshotHistory.set(snapshotId, state);
+        while (this.snapshotHistory.size > SNAPSHOT_HISTORY) {
+            this.snapshotHistory.delete(this.snapshotHistory.keys().next().value);
+        }
+
+        // Clients that acknowledged the same snapshot share one message
+        const recipients = Object.values(this.players)
+            .filter(p => p.connected && !p.isBot && !p.ownerId)
+            .map(p => p.id)
+            .concat(Object.keys(this.spectators));
+        const groups = new Map();
+        recipients.forEach(socketId => {
+            const acked = this.snapshotAcks[socketId];
+            const baseId = this.snapshotHistory.has(acked) ? acked : null;
+
+            if (!groups.has(baseId)) {
+                groups.set(baseId, []);
+            }
+            groups.get(baseId).push(socketId);
+        });
+
+        groups.forEach((socketIds, baseId) => {
+            const base = baseId === null ? null : this.snapshotHistory.get(baseId);
+            const snapshot = {
+                id: snapshotId,
+                baseId: baseId,
+                tick: this.simulation.tick,
+                ...diffGameState(base, state)
             };
-            this.gameState.boostPads.push(boostPad);
+
+            io.to(groups.size === 1 ? this.room : socketIds).emit('gameState', snapshot);
+            this.loopStats.snapshotBytes += Buffer.byteLength(JSON.stringify(snapshot)) * socketIds.length;
         });
+        this.loopStats.snapshots++;
     }
 
-    updateObstacles() {
-        this.gameState.obstacles = this.gameState.obstacles.filter(obstacle => {
-            obstacle.y += obstacle.speed + 3;
+    acknowledgeSnapshot(socketId, snapshotId) {
+        if (!this.players[socketId] && !this.spectators[socketId]) return;
 
-            if (obstacle.y > 650) {
-                const player = Object.values(this.players)
-                    .find(p => p.playerNum === obstacle.playerNum);
-                if (player) {
-                    const survivalPoints = (5 + player.streak) * player.multiplier;
-                    player.score += survivalPoints;
-                    player.streak++;
-                    player.multiplier = Math.min(5, 1 + (player.streak * 0.2));
-                    player.lastObstacleTime = Date.now();
-                }
-                return false;
-            }
-            return true;
-        });
+        // An unknown id (e.g. null) asks for a full snapshot next time
+        this.snapshotAcks[socketId] = this.snapshotHistory.has(snapshotId) ? snapshotId : null;
     }
 
-    updateBoostPads() {
-        this.gameState.boostPads = this.gameState.boostPads.filter(pad => {
-            pad.y += pad.speed + 3;
-            return pad.y <= 650;
-        });
+    // Keep everyone in the lobby up to date on seats and readiness
+    broadcastLobbyState() {
+        const info = this.getInfo();
+        io.to(this.room).emit('lobbyState', info);
     }
 
-    checkCollisions() {
-        Object.values(this.players).forEach(player => {
-            // Check obstacle collisions
-            this.gameState.obstacles.forEach(obstacle => {
-                if (obstacle.playerNum === player.playerNum) {
-                    const distance = Math.sqrt(
-                        Math.pow(player.x + player.width/2 - (obstacle.x + obstacle.width/2), 2) +
-                        Math.pow(player.y + player.height/2 - (obstacle.y + obstacle.height/2), 2)
-                    );
-
-                    // Direct collision
-                    if (player.x < obstacle.x + obstacle.width &&
-                        player.x + player.width > obstacle.x &&
-                        player.y < obstacle.y + obstacle.height &&
-                        player.y + player.height > obstacle.y) {
-
-                        player.speed *= 0.3;
-                        player.velocityX *= -0.5;
-                        player.velocityY *= -0.5;
-                        const penalty = -50 - (player.streak * 5);
-                        player.score += penalty;
-                        player.streak = 0;
-                        player.multiplier = 1;
-                        player.nearMissCount = 0;
-                        obstacle.y = 700;
-                    }
-                    // Near miss (very generous conditions for frequent animations)
-                    else if (distance < 200 && obstacle.y > player.y - 200 && obstacle.y < player.y + 200) {
-                        if (!obstacle.nearMissAwarded) {
-                            const nearMissPoints = 25 * player.multiplier;
-                            player.score += nearMissPoints;
-                            player.nearMissCount++;
-                            obstacle.nearMissAwarded = true;
-
-                            // Emit near miss event for visual effects
-                            console.log(`Near miss! Player ${player.id} scored ${nearMissPoints} points`);
-                            io.to(player.id).emit('scoreEvent', {
-                                playerId: player.id,
-                                type: 'nearMiss',
-                                points: nearMissPoints,
-                                x: player.x,
-                                y: player.y
-                            });
-
-                            if (player.nearMissCount >= 2) {
-                                const perfectPoints = 100 * player.multiplier;
-                                player.score += perfectPoints;
-                                player.nearMissCount = 0;
-                                player.perfectCount++;
-
-                                // Emit perfect event for visual effects
-                                console.log(`Perfect! Player ${player.id} scored ${perfectPoints} points`);
-                                io.to(player.id).emit('scoreEvent', {
-                                    playerId: player.id,
-                                    type: 'perfect',
-                                    points: perfectPoints,
-                                    x: player.x,
-                                    y: player.y
-                                });
-                            }
-                        }
-                    }
-                }
-            });
+    getInfo() {
+        const players = {};
+        Object.values(this.players).forEach(p => {
+            players[p.id] = {
+                id: p.id,
+                playerNum: p.playerNum,
+                name: p.name,
+                ready: p.ready,
+                connected: p.connected,
+                isBot: p.isBot,
+                botDifficulty: p.botDifficulty,
+                isLocal: !!p.ownerId
+            };
+        });
 
-            // Check boost pad collisions
-            this.gameState.boostPads.forEach(pad => {
-                if (pad.playerNum === player.playerNum && !pad.used &&
-                    player.x < pad.x + pad.width &&
-                    player.x + player.width > pad.x &&
-                    player.y < pad.y + pad.height &&
-                    player.y + player.height > pad.y) {
-
-                    player.boosting = true;
-                    player.boostTime = 180;
-                    player.maxSpeed = 15;
-                    pad.used = true;
-
-                    const boostPoints = (50 + (player.streak * 10)) * player.multiplier;
-                    player.score += boostPoints;
-                    player.streak++;
-                    player.multiplier = Math.min(5, 1 + (player.streak * 0.2));
-                    player.comboTimer = 300;
-                    player.lastObstacleTime = Date.now();
-                }
+        return {
+            id: this.id,
+            name: this.name,
+            players: players,
+            maxPlayers: this.maxPlayers,
+            spectators: Object.keys(this.spectators).length,
+            hostId: this.hostId,
+            joinCode: this.joinCode,
+            isPrivate: this.isPrivate,
+            hasPassword: !!this.passwordHash,
+            timeTrial: this.timeTrial,
+            gameStarted: this.gameStarted,
+            paused: this.paused,
+            disconnectPolicy: this.disconnectPolicy,
+            rules: {
+                mode: this.config.mode.type,
+                durationSeconds: this.config.raceDurationSeconds,
+                targetDistance: this.config.mode.targetDistance,
+                collisionBudget: this.config.mode.collisionBudget,
+                seriesLength: this.seriesLength,
+                sharedTrack: this.config.track.shared,
+                track: { id: this.config.track.id, name: this.config.track.name }
+            },
+            series: this.getSeriesInfo(),
+            bestRun: this.timeTrial ? this.getBestRunInfo() : null,
+            seed: this.seed,
+            createdAt: this.createdAt
+        };
+    }
+
+    // Everything getInfo has, plus what only admins get to see
+    getAdminInfo() {
+        const info = this.getInfo();
+        Object.values(this.players).forEach(p => {
+            Object.assign(info.players[p.id], {
+                accountId: p.accountId,
+                score: Math.floor(p.score),
+                lastInput: p.lastInput,
+                queuedInputs: p.inputQueue.length
             });
         });
-    }
 
-    broadcastGameState() {
-        const gameData = {
-            players: this.players,
-            obstacles: this.gameState.obstacles,
-            boostPads: this.gameState.boostPads,
-            timeRemaining: this.gameState.timeRemaining
+        return {
+            ...info,
+            spectatorList: Object.values(this.spectators),
+            chat: this.chat,
+            tick: this.simulation ? this.simulation.tick : null,
+            loopStats: this.getLoopStats()
         };
+    }
 
-        Object.keys(this.players).forEach(socketId => {
-            io.to(socketId).emit('gameState', gameData);
+    // Shut the lobby down for everyone in it, racing or watching
+    close(reason) {
+        if (this.gameLoop) {
+            clearInterval(this.gameLoop);
+            this.gameLoop = null;
+        }
+
+        io.to(this.room).emit('lobbyClosed', { reason: reason });
+        Object.values(this.players).forEach(player => {
+            if (player.reconnectTimer) {
+                clearTimeout(player.reconnectTimer);
+            }
+            playerSockets.delete(player.id);
+        });
+        Object.keys(this.spectators).forEach(socketId => {
+            spectatorSockets.delete(socketId);
         });
+        io.in(this.room).socketsLeave(this.room);
     }
 
-    getInfo() {
+    // What a restart needs to bring the lobby back - seats, rules, series and chat, no race
+    getSavedState() {
+        const saveStanding = ([player, standing]) => ({
+            id: player.id,
+            name: player.name,
+            playerNum: player.playerNum,
+            isBot: player.isBot,
+            ...standing
+        });
+
         return {
             id: this.id,
             name: this.name,
-            players: this.players,
-            gameStarted: this.gameStarted,
-            createdAt: this.createdAt
+            createdAt: this.createdAt,
+            joinCode: this.joinCode,
+            isPrivate: this.isPrivate,
+            passwordHash: this.passwordHash ? this.passwordHash.toString('hex') : null,
+            hostId: this.hostId,
+            options: {
+                maxPlayers: this.maxPlayers,
+                disconnectPolicy: this.disconnectPolicy,
+                timeTrial: this.timeTrial,
+                seriesLength: this.seriesLength,
+                mode: this.config.mode.type,
+                durationSeconds: this.config.raceDurationSeconds,
+                targetDistance: this.config.mode.targetDistance,
+                collisionBudget: this.config.mode.collisionBudget,
+                sharedTrack: this.config.track.shared,
+                trackId: this.config.track.id
+            },
+            players: Object.values(this.players).map(p => ({
+                id: p.id,
+                playerNum: p.playerNum,
+                name: p.name,
+                accountId: p.accountId,
+                sessionToken: p.sessionToken,
+                botDifficulty: p.botDifficulty,
+                ownerId: p.ownerId
+            })),
+            series: this.series && {
+                round: this.series.round,
+                winsNeeded: this.series.winsNeeded,
+                champion: this.series.champion,
+                standings: Array.from(this.series.standings, saveStanding)
+            },
+            chat: this.chat
         };
     }
+
+    // Bring back a saved lobby - its racers are away until they reconnect with their session
+    restoreState(saved) {
+        this.createdAt = saved.createdAt;
+        this.joinCode = findLobbyByCode(saved.joinCode) ? this.joinCode : saved.joinCode;
+        this.isPrivate = saved.isPrivate;
+        this.passwordHash = saved.passwordHash ? Buffer.from(saved.passwordHash, 'hex') : null;
+        this.hostId = saved.hostId;
+        this.chat = saved.chat || [];
+        this.chatSeq = this.chat.length ? this.chat[this.chat.length - 1].id : 0;
+
+        saved.players.forEach(p => {
+            const player = this.createPlayer(p.id, p.playerNum, p.name, p.botDifficulty, p.ownerId);
+            player.accountId = p.accountId;
+            player.sessionToken = p.sessionToken;
+            if (!player.isBot) {
+                player.connected = false;
+            }
+            if (!player.isBot && !player.ownerId) {
+                this.holdSeat(player, RESTORE_GRACE_MS); // Local racers go with their owner's seat
+            }
+            this.players[p.id] = player;
+        });
+
+        if (saved.series) {
+            this.series = {
+                round: saved.series.round,
+                winsNeeded: saved.series.winsNeeded,
+                standings: new Map(),
+                champion: saved.series.champion
+            };
+            // Racers who already left the lobby keep their standing, without a seat
+            saved.series.standings.forEach(({ id, name, playerNum, isBot, ...standing }) => {
+                this.series.standings.set(this.players[id] || { id, name, playerNum, isBot }, standing);
+            });
+        }
+    }
+}
+
+function getReplaySummary(replay) {
+    return {
+        id: replay.id,
+        lobbyName: replay.lobbyName,
+        recordedAt: replay.recordedAt,
+        seed: replay.seed,
+        results: replay.results
+    };
 }
 
 // Socket connections
 io.on('connection', (socket) => {
     console.log('Player connected:', socket.id);
 
+    // Every event below only ever sees validated, rate limited data
+    guardSocket(socket);
+
+    // Tie the connection to a stored player account, opening a new one if the token doesn't match
+    socket.on('identify', (data) => {
+        const credentials = data || {};
+        const { account, token } = playerStore.identify(credentials.playerId, credentials.token, credentials.name);
+        socketAccounts.set(socket.id, account.id);
+
+        socket.emit('identified', {
+            playerId: account.id,
+            token: token,
+            name: account.name
+        });
+    });
+
     // Send current lobbies
     socket.on('getLobbies', () => {
-        const lobbyInfo = {};
-        lobbies.forEach((lobby, id) => {
-            lobbyInfo[id] = lobby.getInfo();
-        });
-        socket.emit('lobbiesUpdate', lobbyInfo);
+        socket.emit('lobbiesUpdate', getPublicLobbies());
     });
 
     // Create lobby
     socket.on('createLobby', (data) => {
+        leaveMatchmaking(socket.id);
+
         const lobbyId = uuidv4();
-        const lobby = new GameLobby(lobbyId, data.lobbyName, socket.id, data.playerName);
+        const lobby = new GameLobby(lobbyId, data.lobbyName, socket.id, data.playerName, {
+            maxPlayers: data.maxPlayers,
+            disconnectPolicy: data.disconnectPolicy,
+            isPrivate: data.isPrivate,
+            password: data.password,
+            mode: data.mode,
+            durationSeconds: data.durationSeconds,
+            targetDistance: data.targetDistance,
+            collisionBudget: data.collisionBudget,
+            seriesLength: data.seriesLength,
+            sharedTrack: data.sharedTrack,
+            trackId: data.trackId,
+            timeTrial: data.timeTrial
+        });
         lobbies.set(lobbyId, lobby);
 
+        // Quick races come with bots so they can start right away
+        const bots = Math.min(lobby.maxPlayers - 1, Math.max(0, parseInt(data.bots, 10) || 0));
+        for (let i = 0; i < bots; i++) {
+            lobby.addBot(data.botDifficulty);
+        }
+
         socket.emit('joinedLobby', {
             lobbyId: lobbyId,
-            lobbyName: data.lobbyName,
-            playerNum: 1
+            lobbyName: lobby.name,
+            playerNum: 1,
+            maxPlayers: lobby.maxPlayers,
+            sessionToken: lobby.players[socket.id].sessionToken
         });
+        lobby.broadcastLobbyState();
 
         // Broadcast lobby list update
         broadcastLobbyUpdates();
@@ -557,38 +1564,186 @@ io.on('connection', (socket) => {
     socket.on('joinLobby', (data) => {
         const lobby = lobbies.get(data.lobbyId);
 
+        // Private lobbies can only be found by their code
+        if (!lobby || lobby.isPrivate) {
+            socket.emit('lobbyNotFound');
+            return;
+        }
+
+        joinLobbyAs(socket, lobby, data.playerName, data.password);
+    });
+
+    // Join from an invite link or a code typed in by hand
+    socket.on('joinByCode', (data) => {
+        const lobby = findLobbyByCode(data.code);
+
         if (!lobby) {
             socket.emit('lobbyNotFound');
             return;
         }
 
-        if (lobby.addPlayer(socket.id, data.playerName)) {
-            socket.emit('joinedLobby', {
-                lobbyId: data.lobbyId,
-                lobbyName: lobby.name,
-                playerNum: Object.keys(lobby.players).length
-            });
+        joinLobbyAs(socket, lobby, data.playerName, data.password);
+    });
 
-            broadcastLobbyUpdates();
-            console.log(`${data.playerName} joined lobby: ${lobby.name}`);
-        } else {
-            socket.emit('lobbyFull');
+    // Watch a race from the stands - spectators see everything but never take a seat
+    socket.on('spectateLobby', (data) => {
+        const lobby = lobbies.get(data.lobbyId);
+
+        if (!lobby || lobby.isPrivate) {
+            socket.emit('lobbyNotFound');
+            return;
+        }
+        if (playerSockets.has(socket.id)) {
+            socket.emit('cannotSpectate', { reason: 'Leave your race before watching another one' });
+            return;
+        }
+        if (!lobby.checkPassword(data.password)) {
+            socket.emit('passwordRequired', { lobbyName: lobby.name, wrongPassword: data.password !== undefined });
+            return;
         }
+
+        // Only one lobby at a time
+        const watching = lobbies.get(spectatorSockets.get(socket.id));
+        if (watching) {
+            watching.removeSpectator(socket.id);
+            watching.broadcastLobbyState();
+        }
+
+        if (!lobby.addSpectator(socket.id, data.playerName)) {
+            socket.emit('cannotSpectate', { reason: 'Too many people are watching this race already' });
+            return;
+        }
+        leaveMatchmaking(socket.id);
+
+        socket.emit('spectating', {
+            lobbyId: lobby.id,
+            lobbyName: lobby.name,
+            maxPlayers: lobby.maxPlayers,
+            raceRunning: lobby.gameStarted,
+            paused: lobby.paused,
+            config: lobby.config
+        });
+        socket.emit('chatHistory', lobby.chat);
+        lobby.broadcastLobbyState();
+        broadcastLobbyUpdates();
+        console.log(`${data.playerName} is spectating lobby: ${lobby.name}`);
+    });
+
+    // Quick Race - wait for a match against players of a similar rating
+    socket.on('joinQueue', (data) => {
+        if (getSocketLobby(socket.id)) {
+            socket.emit('cannotQueue', { reason: 'Leave your current race first' });
+            return;
+        }
+
+        matchmaking.add(socket.id, {
+            name: data.playerName,
+            rating: playerStore.getRating(socketAccounts.get(socket.id))
+        });
+        socket.emit('queueStatus', matchmaking.getStatus(socket.id));
+    });
+
+    socket.on('leaveQueue', () => {
+        leaveMatchmaking(socket.id);
     });
 
     // Leave lobby
     socket.on('leaveLobby', (lobbyId) => {
         const lobby = lobbies.get(lobbyId);
-        if (lobby) {
-            const shouldDelete = lobby.removePlayer(socket.id);
+        if (lobby && lobby.players[socket.id]) {
+            removePlayerFromLobby(lobby, socket.id);
+        } else if (lobby && lobby.spectators[socket.id]) {
+            lobby.removeSpectator(socket.id);
+            lobby.broadcastLobbyState();
+            broadcastLobbyUpdates();
+        }
+    });
+
+    // The host fills empty seats with bots, or frees them again, from the waiting room
+    socket.on('addBot', (data) => {
+        const lobby = lobbies.get(data.lobbyId);
+        if (!lobby || lobby.hostId !== socket.id) return;
+
+        if (!lobby.addBot(data.difficulty)) {
+            socket.emit('cannotAddBot', {
+                reason: lobby.gameStarted ? 'The race is already running' : 'Every seat is taken'
+            });
+            return;
+        }
+
+        lobby.broadcastLobbyState();
+        broadcastLobbyUpdates();
+    });
+
+    socket.on('removeBot', (data) => {
+        const lobby = lobbies.get(data.lobbyId);
+        if (!lobby || lobby.hostId !== socket.id || lobby.gameStarted) return;
+
+        const bot = lobby.players[data.botId];
+        if (bot && bot.isBot) {
+            removePlayerFromLobby(lobby, bot.id);
+        }
+    });
 
-            if (shouldDelete) {
-                lobbies.delete(lobbyId);
-                console.log(`Lobby deleted: ${lobby.name}`);
+    // A second racer on this keyboard takes a seat of their own
+    socket.on('addLocalPlayer', (data) => {
+        const lobby = lobbies.get(data.lobbyId);
+        if (!lobby || !lobby.players[socket.id]) return;
+
+        if (!lobby.addLocalPlayer(socket.id, data.playerName)) {
+            let reason = 'Every seat is taken';
+            if (lobby.gameStarted) {
+                reason = 'The race is already running';
+            } else if (lobby.getLocalPlayer(socket.id)) {
+                reason = 'Only two racers can share a keyboard';
             }
+            socket.emit('cannotAddLocalPlayer', { reason: reason });
+            return;
+        }
 
-            broadcastLobbyUpdates();
+        socket.emit('localPlayerJoined', describeLocalPlayer(lobby.getLocalPlayer(socket.id)));
+        lobby.broadcastLobbyState();
+        broadcastLobbyUpdates();
+        console.log(`${data.playerName} joined lobby: ${lobby.name} on ${lobby.players[socket.id].name}'s keyboard`);
+    });
+
+    socket.on('removeLocalPlayer', (lobbyId) => {
+        const lobby = lobbies.get(lobbyId);
+        const localPlayer = lobby && lobby.getLocalPlayer(socket.id);
+        if (!localPlayer) return;
+
+        removePlayerFromLobby(lobby, localPlayer.id);
+        socket.emit('localPlayerLeft');
+    });
+
+    // Take back a seat after a dropped connection or a page reload
+    socket.on('resumeSession', (data) => {
+        const session = data || {};
+        const lobby = lobbies.get(session.lobbyId);
+        const player = lobby && lobby.resumePlayer(session.sessionToken, socket.id);
+
+        if (!player) {
+            socket.emit('sessionExpired');
+            return;
         }
+        leaveMatchmaking(socket.id); // Back in a seat, so no second lobby from the queue
+
+        socket.emit('sessionResumed', {
+            lobbyId: lobby.id,
+            lobbyName: lobby.name,
+            playerNum: player.playerNum,
+            maxPlayers: lobby.maxPlayers,
+            sessionToken: player.sessionToken,
+            raceRunning: lobby.gameStarted,
+            paused: lobby.paused,
+            config: lobby.config,
+            ghost: lobby.gameStarted ? lobby.getGhostData() : null,
+            localPlayer: describeLocalPlayer(lobby.getLocalPlayer(socket.id))
+        });
+        socket.emit('chatHistory', lobby.chat);
+        lobby.broadcastLobbyState();
+        broadcastLobbyUpdates();
+        console.log(`${player.name} reconnected to lobby: ${lobby.name}`);
     });
 
     // Handle player input
@@ -596,56 +1751,235 @@ io.on('connection', (socket) => {
         const lobbyId = playerSockets.get(socket.id);
         const lobby = lobbies.get(lobbyId);
 
-        if (lobby && lobby.players[socket.id]) {
-            lobby.players[socket.id].input = data.input;
+        // Only steer your own car (or your local racer's), in the lobby you are actually in
+        const player = lobby && data.lobbyId === lobbyId &&
+            (data.local ? lobby.getLocalPlayer(socket.id) : lobby.players[socket.id]);
+        if (player) {
+            lobby.queueInput(player.id, data.seq, data.input);
         }
     });
 
-    // Handle restart game
-    socket.on('restartGame', (lobbyId) => {
-        const lobby = lobbies.get(lobbyId);
-        if (lobby && lobby.players[socket.id] && lobby.gameEnded) {
-            lobby.restartGame();
+    // Clients acknowledge snapshots so the next one can be a delta against it
+    socket.on('snapshotAck', (snapshotId) => {
+        const lobby = getSocketLobby(socket.id);
+        if (lobby) {
+            lobby.acknowledgeSnapshot(socket.id, snapshotId);
+        }
+    });
+
+    // Ready-check in the waiting room
+    socket.on('setReady', (data) => {
+        const lobby = lobbies.get(playerSockets.get(socket.id));
+        if (lobby) {
+            lobby.setReady(socket.id, data.ready);
         }
     });
 
-    // Handle back to lobby from game results
-    socket.on('backToLobbyFromResults', (lobbyId) => {
+    // Only the host can start the race, once everyone is ready
+    socket.on('startRace', (lobbyId) => {
         const lobby = lobbies.get(lobbyId);
-        if (lobby && lobby.players[socket.id]) {
-            lobby.endGame();
+        if (!lobby || !lobby.players[socket.id]) return;
+
+        if (lobby.hostId !== socket.id) {
+            socket.emit('cannotStartRace', { reason: 'Only the host can start the race' });
+            return;
+        }
+
+        const blocker = lobby.getStartBlocker();
+        if (blocker) {
+            socket.emit('cannotStartRace', { reason: blocker });
+            return;
+        }
+
+        lobby.startGame();
+        lobby.broadcastLobbyState();
+        broadcastLobbyUpdates();
+        console.log(`Race started in lobby: ${lobby.name}`);
+    });
+
+    // Lobby chat and reactions, for racers and spectators alike
+    socket.on('chatMessage', (data) => {
+        const lobby = getSocketLobby(socket.id);
+        if (lobby) {
+            lobby.addChatMessage(socket.id, data.text);
+        }
+    });
+
+    socket.on('emote', (data) => {
+        const lobby = getSocketLobby(socket.id);
+        if (lobby) {
+            lobby.sendEmote(socket.id, data.emote);
         }
     });
 
+    // Send a recorded race to the replay viewer
+    socket.on('getReplay', (replayId) => {
+        const replay = replays.get(replayId);
+        if (!replay) {
+            socket.emit('replayNotFound');
+            return;
+        }
+
+        // The viewer reruns the race itself from the recorded seed, config and inputs
+        socket.emit('replayData', { replay: replay });
+    });
+
     // Handle disconnect
     socket.on('disconnect', () => {
         console.log('Player disconnected:', socket.id);
+        socketAccounts.delete(socket.id);
+        matchmaking.remove(socket.id);
 
         const lobbyId = playerSockets.get(socket.id);
         if (lobbyId) {
             const lobby = lobbies.get(lobbyId);
             if (lobby) {
-                const shouldDelete = lobby.removePlayer(socket.id);
-
-                if (shouldDelete) {
-                    lobbies.delete(lobbyId);
-                    console.log(`Lobby deleted due to disconnect`);
-                }
-
+                lobby.dropPlayer(socket.id);
                 broadcastLobbyUpdates();
             }
         }
+
+        const watching = lobbies.get(spectatorSockets.get(socket.id));
+        if (watching) {
+            watching.removeSpectator(socket.id);
+            watching.broadcastLobbyState();
+            broadcastLobbyUpdates();
+        }
     });
 });
 
+function joinLobbyAs(socket, lobby, playerName, password) {
+    if (lobby.gameStarted) {
+        socket.emit('raceInProgress');
+        return;
+    }
+
+    if (!lobby.checkPassword(password)) {
+        // No password yet means we still have to ask for one
+        socket.emit('passwordRequired', { lobbyName: lobby.name, wrongPassword: password !== undefined });
+        return;
+    }
+
+    if (lobby.addPlayer(socket.id, playerName)) {
+        leaveMatchmaking(socket.id);
+        socket.emit('joinedLobby', {
+            lobbyId: lobby.id,
+            lobbyName: lobby.name,
+            playerNum: lobby.players[socket.id].playerNum,
+            maxPlayers: lobby.maxPlayers,
+            sessionToken: lobby.players[socket.id].sessionToken
+        });
+        socket.emit('chatHistory', lobby.chat);
+        lobby.broadcastLobbyState();
+
+        broadcastLobbyUpdates();
+        console.log(`${playerName} joined lobby: ${lobby.name}`);
+    } else {
+        socket.emit('lobbyFull');
+    }
+}
+
+function leaveMatchmaking(socketId) {
+    if (matchmaking.remove(socketId)) {
+        io.to(socketId).emit('queueLeft');
+    }
+}
+
+// Open a lobby for a group the queue matched and seat everyone in it - someone left on their own
+// gets a bot so they can still race
+function startMatch(group) {
+    const [host, ...others] = group;
+    const lobbyId = uuidv4();
+    const lobby = new GameLobby(lobbyId, `${host.name}'s Quick Race`, host.socketId, host.name, {
+        maxPlayers: Math.max(MIN_LOBBY_SIZE, group.length)
+    });
+    lobbies.set(lobbyId, lobby);
+
+    others.forEach(entry => lobby.addPlayer(entry.socketId, entry.name));
+    while (Object.keys(lobby.players).length < MIN_LOBBY_SIZE) {
+        lobby.addBot();
+    }
+
+    const averageRating = Math.round(group.reduce((sum, entry) => sum + entry.rating, 0) / group.length);
+    group.forEach(entry => {
+        io.to(entry.socketId).emit('matchFound', { racers: group.length, averageRating: averageRating });
+        io.to(entry.socketId).emit('joinedLobby', {
+            lobbyId: lobbyId,
+            lobbyName: lobby.name,
+            playerNum: lobby.players[entry.socketId].playerNum,
+            maxPlayers: lobby.maxPlayers,
+            sessionToken: lobby.players[entry.socketId].sessionToken
+        });
+    });
+    lobby.broadcastLobbyState();
+    broadcastLobbyUpdates();
+
+    console.log(`Matched ${group.map(entry => entry.name).join(', ')} into ${lobby.name}`);
+}
+
+// Admin kick - the socket stays connected and can go join something else
+function kickFromLobby(lobby, socketId) {
+    io.to(socketId).emit('kicked', { lobbyName: lobby.name });
+
+    if (lobby.spectators[socketId]) {
+        lobby.removeSpectator(socketId);
+        lobby.broadcastLobbyState();
+        broadcastLobbyUpdates();
+        return;
+    }
+    removePlayerFromLobby(lobby, socketId);
+}
+
+function closeLobby(lobby, reason) {
+    lobby.close(reason);
+    lobbies.delete(lobby.id);
+    broadcastLobbyUpdates();
+    console.log(`Lobby closed: ${lobby.name}`);
+}
+
+// The lobby a socket is racing in or watching
+function getSocketLobby(socketId) {
+    return lobbies.get(playerSockets.get(socketId) || spectatorSockets.get(socketId));
+}
+
+// What a client needs to drive the local racer sharing its keyboard
+function describeLocalPlayer(player) {
+    if (!player) return null;
+
+    return {
+        playerId: player.id,
+        playerNum: player.playerNum,
+        name: player.name
+    };
+}
+
+// Take a player out of their lobby for good, deleting the lobby once it is empty
+function removePlayerFromLobby(lobby, socketId) {
+    const shouldDelete = lobby.removePlayer(socketId);
+
+    if (shouldDelete) {
+        lobby.dismissSpectators();
+        lobbies.delete(lobby.id);
+        console.log(`Lobby deleted: ${lobby.name}`);
+    }
+
+    broadcastLobbyUpdates();
+}
+
 // Helper function to broadcast lobby updates
 function broadcastLobbyUpdates() {
+    io.emit('lobbiesUpdate', getPublicLobbies());
+}
+
+// The lobby list everyone sees - private lobbies are left out
+function getPublicLobbies() {
     const lobbyInfo = {};
     lobbies.forEach((lobby, id) => {
-        lobbyInfo[id] = lobby.getInfo();
+        if (!lobby.isPrivate) {
+            lobbyInfo[id] = lobby.getInfo();
+        }
     });
-
-    io.emit('lobbiesUpdate', lobbyInfo);
+    return lobbyInfo;
 }
 
 // Clean up empty lobbies periodically
@@ -670,6 +2004,61 @@ setInterval(() => {
     }
 }, 5 * 60 * 1000); // Check every 5 minutes
 
+// Pair up waiting players, and tell everyone still waiting where they stand
+setInterval(() => {
+    const now = Date.now();
+    matchmaking.findMatches(now).forEach(startMatch);
+    matchmaking.entries.forEach((entry, socketId) => {
+        io.to(socketId).emit('queueStatus', matchmaking.getStatus(socketId, now));
+    });
+}, MATCHMAKING_INTERVAL_MS);
+
+// Bring back the lobbies the last shutdown saved
+lobbyStore.take().forEach(saved => {
+    const lobby = new GameLobby(saved.id, saved.name, null, null, saved.options);
+    lobby.restoreState(saved);
+    lobbies.set(lobby.id, lobby);
+});
+
+// Stopping (a redeploy, Ctrl+C) - end running races so their results count, tell everyone we are
+// restarting, and save the lobbies so racers can rejoin them once we are back
+const SHUTDOWN_FLUSH_MS = 500; // Time for the last messages to reach clients
+const SHUTDOWN_TIMEOUT_MS = 8000; // Give up and exit before the platform kills us
+let shuttingDown = false;
+
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received - shutting down`);
+
+    setTimeout(() => {
+        console.error('Shutdown took too long - exiting');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    lobbies.forEach(lobby => {
+        if (lobby.gameStarted) {
+            lobby.finishGame();
+        }
+    });
+    io.emit('serverRestarting', { message: 'The server is restarting - hang on, you will be reconnected' });
+
+    const saved = Array.from(lobbies.values())
+        .filter(lobby => Object.values(lobby.players).some(p => !p.isBot))
+        .map(lobby => lobby.getSavedState());
+
+    Promise.all([lobbyStore.save(saved), playerStore.save(), ghostStore.save()])
+        .then(() => new Promise(resolve => setTimeout(resolve, SHUTDOWN_FLUSH_MS)))
+        .then(() => {
+            io.close(() => {
+                process.exit(0);
+            });
+        });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`Racing lobby server running on http://localhost:${PORT}`);
     console.log(`Network access: http://<your-ip-address>:${PORT}`);
@@ -0,0 +1,32 @@
+// Waiting lobbies saved when the server shuts down, so a restart or redeploy doesn't throw
+// everyone out - racers take their seats back with the session token they already hold
+const { JsonFile } = require('./json-file');
+
+class LobbyStore {
+    constructor(filePath) {
+        this.file = new JsonFile(filePath, 'lobby store');
+    }
+
+    // Lobbies the last shutdown saved - the file is removed once read, so a later crash
+    // never brings back lobbies that have long gone
+    take() {
+        const data = this.file.read();
+        const lobbies = (data && data.lobbies) || [];
+        if (data) {
+            console.log(`Loaded ${lobbies.length} lobbies from ${this.file.filePath}`);
+        }
+
+        this.file.remove();
+        return lobbies;
+    }
+
+    save(lobbies) {
+        return this.file.write({ savedAt: Date.now(), lobbies: lobbies }).then(written => {
+            if (written) {
+                console.log(`Saved ${lobbies.length} lobbies to ${this.file.filePath}`);
+            }
+        });
+    }
+}
+
+module.exports = { LobbyStore };
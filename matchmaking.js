@@ -0,0 +1,109 @@
+// Queue behind Quick Race - players are matched with others of a similar rating, and the rating gap
+// a player accepts widens the longer they have been waiting
+const MATCH_SIZE = 4; // Racers in a full match
+const MIN_MATCH_SIZE = 2;
+const BASE_RATING_GAP = 100;
+const RATING_GAP_PER_SECOND = 10;
+const MAX_RATING_GAP = 600;
+const FILL_WAIT_MS = 20000; // After this a match goes ahead without a full field
+const SOLO_WAIT_MS = 45000; // Nobody close enough to race - go ahead against bots
+const WAIT_HISTORY = 20; // Recent waits the estimate is averaged from
+
+class MatchmakingQueue {
+    constructor() {
+        this.entries = new Map(); // Waiting players by socket id, longest waiting first
+        this.recentWaits = []; // How long recently matched players waited, oldest first
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Queueing again keeps a player's place in line
+    add(socketId, player, now = Date.now()) {
+        const existing = this.entries.get(socketId);
+        this.entries.set(socketId, {
+            socketId: socketId,
+            name: player.name,
+            rating: player.rating,
+            joinedAt: existing ? existing.joinedAt : now
+        });
+    }
+
+    remove(socketId) {
+        return this.entries.delete(socketId);
+    }
+
+    getRatingGap(entry, now) {
+        const waitedSeconds = Math.floor((now - entry.joinedAt) / 1000);
+        return Math.min(MAX_RATING_GAP, BASE_RATING_GAP + waitedSeconds * RATING_GAP_PER_SECOND);
+    }
+
+    // The player who has waited longer decides - otherwise someone who just queued would keep
+    // turning down a player who has been stuck in the queue for ages
+    accepts(a, b, now) {
+        const gap = Math.max(this.getRatingGap(a, now), this.getRatingGap(b, now));
+        return Math.abs(a.rating - b.rating) <= gap;
+    }
+
+    // Groups of players ready to race, taken out of the queue - longest waiting players are
+    // matched first, each with the closest ratings they accept
+    findMatches(now = Date.now()) {
+        const matches = [];
+
+        Array.from(this.entries.values()).forEach(anchor => {
+            if (!this.entries.has(anchor.socketId)) return; // Matched with someone earlier
+
+            const opponents = Array.from(this.entries.values())
+                .filter(entry => entry !== anchor && this.accepts(anchor, entry, now))
+                .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating))
+                .slice(0, MATCH_SIZE - 1);
+            const group = [anchor].concat(opponents);
+
+            const waited = now - anchor.joinedAt;
+            const ready = group.length >= MATCH_SIZE ||
+                (group.length >= MIN_MATCH_SIZE && waited >= FILL_WAIT_MS) ||
+                waited >= SOLO_WAIT_MS;
+            if (!ready) return;
+
+            group.forEach(entry => {
+                this.entries.delete(entry.socketId);
+                this.recordWait(now - entry.joinedAt);
+            });
+            matches.push(group);
+        });
+
+        return matches;
+    }
+
+    recordWait(ms) {
+        this.recentWaits.push(ms);
+        if (this.recentWaits.length > WAIT_HISTORY) {
+            this.recentWaits.shift();
+        }
+    }
+
+    // Where a player stands, for the client's queue display
+    getStatus(socketId, now = Date.now()) {
+        const entry = this.entries.get(socketId);
+        if (!entry) return null;
+
+        // Once past the typical wait, the solo limit is the only promise left
+        const typicalWait = this.recentWaits.length > 0
+            ? this.recentWaits.reduce((sum, ms) => sum + ms, 0) / this.recentWaits.length
+            : FILL_WAIT_MS;
+        const waited = now - entry.joinedAt;
+        const remaining = Math.max(0, (waited < typicalWait ? Math.min(typicalWait, SOLO_WAIT_MS) : SOLO_WAIT_MS) - waited);
+
+        return {
+            position: Array.from(this.entries.keys()).indexOf(socketId) + 1,
+            queued: this.entries.size,
+            rating: entry.rating,
+            ratingGap: this.getRatingGap(entry, now),
+            waitedSeconds: Math.floor(waited / 1000),
+            estimatedWaitSeconds: Math.ceil(remaining / 1000)
+        };
+    }
+}
+
+module.exports = { MatchmakingQueue };
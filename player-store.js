@@ -0,0 +1,253 @@
+// Player accounts and race results, kept in a JSON file so they survive restarts
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { JsonFile } = require('./json-file');
+
+const MAX_STORED_RACES = 1000;
+const RECENT_RACES_PER_PLAYER = 10;
+const DEFAULT_LEADERBOARD_SIZE = 20;
+const MAX_LEADERBOARD_SIZE = 100;
+
+// Elo ratings - every pair of account holders in a race counts as one game between them
+const DEFAULT_RATING = 1500;
+const RATING_SCALE = 400;
+const RATING_K = 24;
+const PROVISIONAL_K = 48; // New players move faster until their rating settles
+const PROVISIONAL_RACES = 10;
+
+// Accounts from before ratings existed start at the default
+function ratingOf(account) {
+    return typeof account.rating === 'number' ? account.rating : DEFAULT_RATING;
+}
+
+// Leaderboard orderings - ties go to the player with fewer races
+const LEADERBOARD_SORTS = {
+    bestScore: (a, b) => b.bestScore - a.bestScore || a.races - b.races,
+    rating: (a, b) => ratingOf(b) - ratingOf(a) || a.races - b.races,
+    wins: (a, b) => b.wins - a.wins || a.races - b.races,
+    races: (a, b) => b.races - a.races || b.wins - a.wins
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Rating changes for racers ranked best first - the better place wins, a shared place is a draw,
+// and each racer's change is scaled by how many others they raced so big lobbies don't swing
+// ratings harder
+function rateRace(racers) {
+    return racers.map(racer => {
+        let actual = 0;
+        let expected = 0;
+        racers.forEach(other => {
+            if (other === racer) return;
+            actual += racer.place < other.place ? 1 : racer.place === other.place ? 0.5 : 0;
+            expected += 1 / (1 + Math.pow(10, (other.rating - racer.rating) / RATING_SCALE));
+        });
+
+        const k = racer.races < PROVISIONAL_RACES ? PROVISIONAL_K : RATING_K;
+        return Math.round(k * (actual - expected) / (racers.length - 1));
+    });
+}
+
+// What anyone may see about a player - never the token hash
+function getPublicPlayer(account) {
+    return {
+        id: account.id,
+        name: account.name,
+        rating: ratingOf(account),
+        bestScore: account.bestScore,
+        wins: account.wins,
+        races: account.races,
+        averageScore: account.races > 0 ? Math.round(account.totalScore / account.races) : 0,
+        achievements: Object.keys(account.achievements || {}),
+        createdAt: account.createdAt,
+        lastRaceAt: account.lastRaceAt
+    };
+}
+
+class PlayerStore {
+    constructor(filePath) {
+        this.file = new JsonFile(filePath, 'player store');
+        this.players = {}; // Accounts by player id
+        this.races = []; // Finished races, oldest first
+
+        this.load();
+    }
+
+    load() {
+        const data = this.file.read();
+        if (!data) return;
+
+        this.players = data.players || {};
+        this.races = data.races || [];
+        console.log(`Loaded ${Object.keys(this.players).length} players from ${this.file.filePath}`);
+    }
+
+    save() {
+        return this.file.write({ players: this.players, races: this.races });
+    }
+
+    // Pick up the account a client holds the token for, or open a new one
+    identify(playerId, token, name) {
+        const existing = this.getAccount(playerId);
+        if (existing && token && existing.tokenHash === hashToken(token)) {
+            return { account: existing, token: token };
+        }
+
+        const newToken = crypto.randomBytes(24).toString('hex');
+        const account = {
+            id: uuidv4(),
+            tokenHash: hashToken(newToken),
+            name: name || 'Racer',
+            rating: DEFAULT_RATING,
+            bestScore: 0,
+            wins: 0,
+            races: 0,
+            totalScore: 0,
+            achievements: {}, // When each was earned, by achievement id
+            createdAt: Date.now(),
+            lastRaceAt: null
+        };
+
+        this.players[account.id] = account;
+        this.save();
+
+        return { account: account, token: newToken };
+    }
+
+    // Ids come from clients, so only the store's own accounts count - never what every object inherits
+    getAccount(playerId) {
+        return Object.hasOwn(this.players, playerId) ? this.players[playerId] : null;
+    }
+
+    getPlayer(playerId) {
+        const account = this.getAccount(playerId);
+        return account ? getPublicPlayer(account) : null;
+    }
+
+    // Achievements a player holds, by id
+    getAchievements(playerId) {
+        const account = this.getAccount(playerId);
+        return (account && account.achievements) || {};
+    }
+
+    awardAchievements(playerId, ids) {
+        const account = this.getAccount(playerId);
+        if (!account) return;
+
+        account.achievements = account.achievements || {};
+        ids.forEach(id => {
+            account.achievements[id] = Date.now();
+        });
+        this.save();
+    }
+
+    getRating(playerId) {
+        const account = this.getAccount(playerId);
+        return account ? ratingOf(account) : DEFAULT_RATING;
+    }
+
+    // Results come sorted best first, each with its place by the mode's rules; racers without an
+    // account are kept in the race but not ranked.
+    // Returns the new rating and change of every rated racer, by player id
+    recordRace(race) {
+        const results = race.results.map(result => ({
+            playerId: result.accountId || null,
+            name: result.name,
+            score: result.score,
+            place: result.place
+        }));
+
+        // Ratings only move when at least two account holders raced each other
+        const rated = results.filter(result => this.getAccount(result.playerId)).map(result => {
+            const account = this.getAccount(result.playerId);
+            return {
+                account: account,
+                result: result,
+                place: result.place,
+                rating: ratingOf(account),
+                races: account.races
+            };
+        });
+        const ratings = {};
+        if (rated.length >= 2) {
+            rateRace(rated).forEach((change, index) => {
+                const { account, result } = rated[index];
+                account.rating = ratingOf(account) + change;
+                result.ratingChange = change;
+                ratings[account.id] = { rating: account.rating, change: change };
+            });
+        }
+
+        results.forEach(result => {
+            const account = this.getAccount(result.playerId);
+            if (!account) return;
+
+            account.name = result.name;
+            account.races++;
+            account.totalScore += result.score;
+            account.bestScore = Math.max(account.bestScore, result.score);
+            account.lastRaceAt = race.finishedAt;
+            if (result.place === 1) {
+                account.wins++;
+            }
+        });
+
+        this.races.push({
+            id: uuidv4(),
+            finishedAt: race.finishedAt,
+            lobbyName: race.lobbyName,
+            seed: race.seed,
+            replayId: race.replayId,
+            results: results
+        });
+
+        // Forget the oldest races once we hit the limit - the player totals keep counting them
+        if (this.races.length > MAX_STORED_RACES) {
+            this.races.splice(0, this.races.length - MAX_STORED_RACES);
+        }
+
+        this.save();
+
+        return ratings;
+    }
+
+    getLeaderboard(sort, limit) {
+        const compare = Object.hasOwn(LEADERBOARD_SORTS, sort) ? LEADERBOARD_SORTS[sort] : LEADERBOARD_SORTS.bestScore;
+        const size = Math.min(MAX_LEADERBOARD_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_LEADERBOARD_SIZE));
+
+        return Object.values(this.players)
+            .filter(account => account.races > 0)
+            .sort(compare)
+            .slice(0, size)
+            .map((account, index) => ({ rank: index + 1, ...getPublicPlayer(account) }));
+    }
+
+    getPlayerProfile(playerId) {
+        const account = this.getAccount(playerId);
+        if (!account) return null;
+
+        const recentRaces = [];
+        for (let i = this.races.length - 1; i >= 0 && recentRaces.length < RECENT_RACES_PER_PLAYER; i--) {
+            const race = this.races[i];
+            const result = race.results.find(r => r.playerId === playerId);
+            if (result) {
+                recentRaces.push({
+                    id: race.id,
+                    finishedAt: race.finishedAt,
+                    lobbyName: race.lobbyName,
+                    replayId: race.replayId,
+                    racers: race.results.length,
+                    place: result.place,
+                    score: result.score,
+                    ratingChange: result.ratingChange || 0
+                });
+            }
+        }
+
+        return { ...getPublicPlayer(account), recentRaces: recentRaces };
+    }
+}
+
+module.exports = { PlayerStore, LEADERBOARD_SORTS };
@@ -0,0 +1,1091 @@
+// Race rules shared by the server and the browser - live races, client prediction, replays and
+// bots all run this exact code, so the same seed, config and inputs always give the same race
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RaceSim = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const TICK_RATE = 60; // Simulation steps per second
+
+    // How a race is won - every mode also ends when the time limit runs out
+    const RACE_MODES = [
+        'timed', // Highest score when time is up
+        'distance', // First to cover the target distance
+        'survival' // Racers are knocked out once they use up their collision budget
+    ];
+
+    // The car timer each item type sets - weights, durations and points live in config.items.types
+    const ITEM_EFFECTS = {
+        shield: 'shieldTime', // Absorbs the next collision
+        magnet: 'magnetTime', // Pulls nearby boost pads in
+        slowMo: 'slowMoTime', // Obstacles coming at you move slower
+        oil: 'oilTime' // Steering loses grip and the car slides about
+    };
+
+    // Every tunable of the race in one place
+    const DEFAULT_CONFIG = {
+        tickRate: TICK_RATE,
+        raceDurationSeconds: 30,
+        mode: {
+            type: 'timed',
+            targetDistance: 3000, // Meters to the finish in a distance race
+            collisionBudget: 3, // Crashes that knock a racer out of a survival race
+            metersPerPixel: 0.1
+        },
+        scrollSpeed: 3, // Extra speed everything on the road moves down with
+        track: {
+            minX: 30,
+            maxX: 370,
+            minY: 50,
+            maxY: 550,
+            despawnY: 650, // Obstacles and pads past this line are gone
+            shared: false, // One stream of obstacles and pads that every car races through together
+            // Road layout - built-in tracks in tracks/*.json replace these
+            id: 'classic',
+            name: 'Classic',
+            viewHeight: 600, // Track length on screen at once
+            centerX: 200, // Road center where a track starts
+            baseWidth: 300, // Road width the spawn ranges below are laid out for
+            offRoadDrag: 0.9, // Speed kept per tick off the road
+            segments: [
+                { length: 1000, shift: 0, width: 300 }
+            ]
+        },
+        car: {
+            startX: 200,
+            startY: 500,
+            width: 30,
+            height: 60,
+            maxSpeed: 8,
+            boostSpeed: 15,
+            reverseFactor: 0.5, // Reverse speed as a share of max speed
+            acceleration: 0.3, // Share of the gap to the target speed closed per tick
+            drag: 0.95,
+            steerRate: 0.4,
+            maxSteer: 4,
+            steerFullSpeed: 4, // Speed at which steering reaches full strength
+            steerReturn: 0.85, // Steering decay when no direction is held
+            turnRate: 0.02,
+            turnFullSpeed: 3, // Speed at which turning reaches full strength
+            thrust: 0.1,
+            airResistance: 0.95
+        },
+        obstacles: {
+            spawnChance: 0.01, // Per tick
+            width: 30,
+            height: 60,
+            minSpeed: 2,
+            speedRange: 3,
+            spawnMinX: 40,
+            spawnRangeX: 320,
+            spawnY: -50,
+            movingChance: 0.2, // Share of obstacles that weave across the road
+            driftSpeed: 1.5 // Sideways speed of the weaving ones
+        },
+        boostPads: {
+            spawnChance: 0.005, // Per tick
+            width: 60,
+            height: 30,
+            speed: 2,
+            spawnMinX: 60,
+            spawnRangeX: 280,
+            spawnY: -80,
+            durationTicks: 180
+        },
+        // Pickups and hazards - each one starts a timed effect on the car that drives over it (see ITEM_EFFECTS)
+        items: {
+            spawnChance: 0.004, // Per tick
+            width: 36,
+            height: 36,
+            speed: 2,
+            spawnMinX: 60,
+            spawnRangeX: 280,
+            spawnY: -60,
+            types: {
+                shield: { weight: 3, points: 25, durationTicks: 600 },
+                magnet: { weight: 3, points: 25, durationTicks: 360, radius: 200, pull: 4 },
+                slowMo: { weight: 2, points: 25, durationTicks: 240, factor: 0.5 },
+                oil: { weight: 3, points: -25, durationTicks: 120, grip: 0.3, wobble: 0.25 }
+            }
+        },
+        collision: {
+            speedFactor: 0.3,
+            bounceFactor: -0.5,
+            carBounce: 0.8 // How much two cars bounce off each other on a shared track
+        },
+        scoring: {
+            speedPointsFactor: 0.1,
+            speedBonusDisplayFactor: 5, // Speed points shown in the once-a-second popup
+            survivalPoints: 5,
+            nearMissRadius: 200,
+            nearMissPoints: 25,
+            perfectNearMisses: 2, // Near misses in a row for a perfect
+            perfectPoints: 100,
+            boostPoints: 50,
+            boostStreakPoints: 10,
+            collisionPenalty: 50,
+            collisionStreakPenalty: 5,
+            streakMultiplierStep: 0.2,
+            maxMultiplier: 5,
+            comboTicks: 300,
+            comboDecay: 0.5,
+            streakDecayTicks: 180
+        }
+    };
+
+    // Default config with some values replaced, section by section
+    function createConfig(overrides = {}) {
+        const config = {};
+        Object.keys(DEFAULT_CONFIG).forEach(key => {
+            const base = DEFAULT_CONFIG[key];
+            const override = overrides[key];
+
+            if (base && typeof base === 'object') {
+                config[key] = Object.assign({}, base, override);
+            } else {
+                config[key] = override !== undefined ? override : base;
+            }
+        });
+        return config;
+    }
+
+    // Seeded random number generator (mulberry32) so a race can be rerun from its seed
+    function createRng(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function getTimeRemaining(tick, durationTicks, config = DEFAULT_CONFIG) {
+        return Math.max(0, Math.ceil((durationTicks - tick) / config.tickRate));
+    }
+
+    const INPUT_KEYS = ['up', 'down', 'left', 'right'];
+
+    // Analog controls (gamepad sticks and triggers, touch steering) from -1 to 1, next to the keys -
+    // 0 leaves the car to the keys. They are rounded to fixed steps so replays rerun exactly
+    const INPUT_AXES = ['steer', 'throttle'];
+    const AXIS_STEPS = 100;
+
+    function normalizeInput(input) {
+        const normalized = {};
+        INPUT_KEYS.forEach(key => {
+            normalized[key] = !!(input && input[key]);
+        });
+        INPUT_AXES.forEach(axis => {
+            const value = input ? Number(input[axis]) : 0;
+            normalized[axis] = Number.isFinite(value)
+                ? Math.round(Math.max(-1, Math.min(1, value)) * AXIS_STEPS) / AXIS_STEPS
+                : 0;
+        });
+        return normalized;
+    }
+
+    function round(value, digits = 1) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    // Car state every racer starts a race with
+    function createCarState(config = DEFAULT_CONFIG) {
+        return {
+            x: config.car.startX,
+            y: config.car.startY,
+            width: config.car.width,
+            height: config.car.height,
+            speed: 0,
+            maxSpeed: config.car.maxSpeed,
+            angle: 0,
+            velocityX: 0,
+            velocityY: 0,
+            turnSpeed: 0,
+            boosting: false,
+            boostTime: 0,
+            score: 0,
+            streak: 0,
+            multiplier: 1,
+            perfectCount: 0,
+            lastObstacleTick: 0,
+            comboTimer: 0,
+            nearMissCount: 0,
+            speedBonusTimer: 0,
+            offRoad: false,
+            distance: 0,
+            collisions: 0,
+            finishTick: null,
+            eliminatedTick: null,
+            shieldTime: 0,
+            magnetTime: 0,
+            slowMoTime: 0,
+            oilTime: 0
+        };
+    }
+
+    // Finished and knocked-out cars stay where they stopped, out of the race
+    function isRacing(player) {
+        return player.finishTick === null && player.eliminatedTick === null;
+    }
+
+    // Fields that fully describe how a car moves - enough to predict it from a snapshot
+    const CAR_PHYSICS_FIELDS = [
+        'x', 'y', 'angle', 'speed', 'velocityX', 'velocityY',
+        'turnSpeed', 'boosting', 'boostTime', 'maxSpeed', 'oilTime', 'offRoad'
+    ];
+
+    function copyCarPhysics(car) {
+        const copy = {};
+        CAR_PHYSICS_FIELDS.forEach(field => {
+            copy[field] = car[field];
+        });
+        return copy;
+    }
+
+    // Road layouts are worked out once per track and looked up by position from then on
+    const trackLayouts = new WeakMap();
+
+    function getTrackLayout(track) {
+        let layout = trackLayouts.get(track);
+        if (layout) return layout;
+
+        // Tracks loop, so the first segment starts as wide as the last one ends
+        let position = 0;
+        let center = track.centerX;
+        let width = track.segments[track.segments.length - 1].width;
+
+        layout = { length: 0, segments: [] };
+        track.segments.forEach(segment => {
+            layout.segments.push({
+                start: position,
+                length: segment.length,
+                fromCenter: center,
+                toCenter: center + (segment.shift || 0),
+                fromWidth: width,
+                toWidth: segment.width,
+                median: segment.median || 0
+            });
+            position += segment.length;
+            center += segment.shift || 0;
+            width = segment.width;
+        });
+        layout.length = position;
+
+        trackLayouts.set(track, layout);
+        return layout;
+    }
+
+    // The road at a position along the track, easing through each segment's bend and width change
+    function getRoadAt(track, position) {
+        const layout = getTrackLayout(track);
+        const p = ((position % layout.length) + layout.length) % layout.length;
+        const segment = layout.segments.find(s => p < s.start + s.length) || layout.segments[layout.segments.length - 1];
+
+        const t = (p - segment.start) / segment.length;
+        const eased = t * t * (3 - 2 * t);
+        const center = segment.fromCenter + (segment.toCenter - segment.fromCenter) * eased;
+        const width = segment.fromWidth + (segment.toWidth - segment.fromWidth) * eased;
+
+        return {
+            center: center,
+            width: width,
+            left: center - width / 2,
+            right: center + width / 2,
+            median: segment.median // Grass strip down the middle
+        };
+    }
+
+    // Position along the track of a point on screen - the top of the screen is furthest ahead
+    function getTrackPosition(config, roadOffset, y) {
+        return roadOffset + config.track.viewHeight - y;
+    }
+
+    function isOffRoad(car, config, roadOffset) {
+        const road = getRoadAt(config.track, getTrackPosition(config, roadOffset, car.y + car.height / 2));
+        const centerX = car.x + car.width / 2;
+        return centerX < road.left || centerX > road.right || Math.abs(centerX - road.center) < road.median / 2;
+    }
+
+    // Advance one car by one tick of input, on the stretch of road roadOffset puts under it
+    function stepCar(car, input, config = DEFAULT_CONFIG, roadOffset = 0) {
+        const carConfig = config.car;
+
+        // Handle boost timing
+        if (car.boosting) {
+            car.boostTime--;
+            if (car.boostTime <= 0) {
+                car.boosting = false;
+                car.maxSpeed = carConfig.maxSpeed;
+            }
+        }
+
+        // Player acceleration/deceleration - an analog throttle sets how hard, the keys go all out
+        const forwardSpeed = car.boosting ? carConfig.boostSpeed : car.maxSpeed;
+        const throttle = input.throttle || 0;
+        let targetSpeed = 0;
+        if (throttle > 0) {
+            targetSpeed = forwardSpeed * throttle;
+        } else if (throttle < 0) {
+            targetSpeed = car.maxSpeed * carConfig.reverseFactor * throttle;
+        } else {
+            if (input.up) {
+                targetSpeed = forwardSpeed;
+            }
+            if (input.down) {
+                targetSpeed = -car.maxSpeed * carConfig.reverseFactor;
+            }
+        }
+
+        // Smooth speed transitions
+        const speedDiff = targetSpeed - car.speed;
+        car.speed += speedDiff * carConfig.acceleration;
+        car.speed *= carConfig.drag;
+
+        // Grass and gravel slow you right down
+        if (car.offRoad) {
+            car.speed *= config.track.offRoadDrag;
+        }
+
+        // Improved steering
+        const steeringSensitivity = Math.min(1, Math.abs(car.speed) / carConfig.steerFullSpeed);
+        const maxSteer = carConfig.maxSteer * steeringSensitivity;
+
+        // On oil the steering barely grips and the car slides from side to side
+        let grip = 1;
+        if (car.oilTime > 0) {
+            const oil = config.items.types.oil;
+            car.oilTime--;
+            grip = oil.grip;
+            car.turnSpeed += Math.sin(car.oilTime * 0.3) * oil.wobble;
+        }
+
+        const steer = input.steer || 0;
+        if (steer !== 0) {
+            // Turn towards the share of full lock the stick is pushed to
+            const target = steer * maxSteer;
+            car.turnSpeed = car.turnSpeed > target
+                ? Math.max(car.turnSpeed - carConfig.steerRate * grip, target)
+                : Math.min(car.turnSpeed + carConfig.steerRate * grip, target);
+        } else if (input.left) {
+            car.turnSpeed = Math.max(car.turnSpeed - carConfig.steerRate * grip, -maxSteer);
+        } else if (input.right) {
+            car.turnSpeed = Math.min(car.turnSpeed + carConfig.steerRate * grip, maxSteer);
+        } else {
+            car.turnSpeed *= carConfig.steerReturn;
+        }
+
+        // Apply turning
+        const turnInfluence = Math.min(1, Math.abs(car.speed) / carConfig.turnFullSpeed);
+        car.angle += (car.turnSpeed * carConfig.turnRate) * turnInfluence;
+
+        // Physics-based movement
+        const forwardX = Math.sin(car.angle);
+        const forwardY = -Math.cos(car.angle);
+
+        car.velocityX += forwardX * car.speed * carConfig.thrust;
+        car.velocityY += forwardY * car.speed * carConfig.thrust;
+
+        // Air resistance
+        car.velocityX *= carConfig.airResistance;
+        car.velocityY *= carConfig.airResistance;
+
+        // Update position
+        car.x += car.velocityX;
+        car.y += car.velocityY;
+
+        keepOnTrack(car, config);
+        car.offRoad = isOffRoad(car, config, roadOffset);
+    }
+
+    function keepOnTrack(car, config) {
+        car.x = Math.max(config.track.minX, Math.min(config.track.maxX, car.x));
+        car.y = Math.max(config.track.minY, Math.min(config.track.maxY, car.y));
+    }
+
+    // Items on a shared track have no playerNum and are everyone's
+    function isForPlayer(item, playerNum) {
+        return item.playerNum === null || item.playerNum === playerNum;
+    }
+
+    function overlaps(a, b) {
+        return a.x < b.x + b.width &&
+            a.x + a.width > b.x &&
+            a.y < b.y + b.height &&
+            a.y + a.height > b.y;
+    }
+
+    // Deterministic race simulation - everything in a race derives from the seed and player inputs
+    class RaceSimulation {
+        constructor(players, seed, config = DEFAULT_CONFIG) {
+            this.players = players;
+            this.seed = seed >>> 0;
+            this.config = config;
+            this.rng = createRng(this.seed);
+            this.tick = 0;
+            this.nextEntityId = 1;
+            this.events = []; // Score events produced since the last flush
+            this.gameState = {
+                obstacles: [],
+                boostPads: [],
+                items: [],
+                roadOffset: 0,
+                timeRemaining: config.raceDurationSeconds
+            };
+        }
+
+        step() {
+            // Update players
+            Object.values(this.players).forEach(player => {
+                this.updatePlayer(player);
+            });
+
+            // Create obstacles
+            if (this.rng() < this.config.obstacles.spawnChance) {
+                this.createObstacles();
+            }
+
+            // Create boost pads
+            if (this.rng() < this.config.boostPads.spawnChance) {
+                this.createBoostPads();
+            }
+
+            // Create pickups and hazards
+            if (this.rng() < this.config.items.spawnChance) {
+                this.createItems();
+            }
+
+            // Update obstacles, boost pads and items
+            this.updateObstacles();
+            this.updateBoostPads();
+            this.updateItems();
+
+            // Check collisions
+            this.checkCollisions();
+
+            this.gameState.roadOffset += this.config.scrollSpeed;
+            this.tick++;
+        }
+
+        // Whether the mode's own end condition is met - the time limit is up to whoever runs the race
+        isOver() {
+            const players = Object.values(this.players);
+
+            switch (this.config.mode.type) {
+                case 'distance':
+                    return players.some(p => p.finishTick !== null);
+                case 'survival':
+                    return players.filter(isRacing).length <= (players.length > 1 ? 1 : 0);
+                default:
+                    return false;
+            }
+        }
+
+        takeEvents() {
+            const events = this.events;
+            this.events = [];
+            return events;
+        }
+
+        // Streaks build the multiplier, capped
+        raiseStreak(player) {
+            const scoring = this.config.scoring;
+            player.streak++;
+            player.multiplier = Math.min(scoring.maxMultiplier, 1 + (player.streak * scoring.streakMultiplierStep));
+            player.lastObstacleTick = this.tick;
+        }
+
+        updatePlayer(player) {
+            if (!player.input || !isRacing(player)) return;
+
+            const scoring = this.config.scoring;
+            const mode = this.config.mode;
+
+            stepCar(player, player.input, this.config, this.gameState.roadOffset);
+
+            // Oil wears off inside stepCar, the other effects here
+            ['shieldTime', 'magnetTime', 'slowMoTime'].forEach(timer => {
+                if (player[timer] > 0) {
+                    player[timer]--;
+                }
+            });
+
+            // The road scrolls past every car - driving up it adds to that, reversing takes away
+            player.distance += Math.max(0, this.config.scrollSpeed - player.velocityY) * mode.metersPerPixel;
+            if (mode.type === 'distance' && player.distance >= mode.targetDistance) {
+                player.finishTick = this.tick;
+                this.events.push({ playerId: player.id, type: 'finished' });
+            }
+
+            // Update score with visual feedback
+            const speedPoints = Math.floor(Math.abs(player.speed) * scoring.speedPointsFactor);
+            player.score += speedPoints * player.multiplier;
+
+            // Add speed bonus visual effects every second
+            player.speedBonusTimer++;
+
+            if (player.speedBonusTimer >= this.config.tickRate && speedPoints > 0) {
+                const bonusPoints = Math.floor(speedPoints * player.multiplier * scoring.speedBonusDisplayFactor);
+                this.events.push({
+                    playerId: player.id,
+                    type: 'speed',
+                    points: bonusPoints,
+                    x: player.x,
+                    y: player.y
+                });
+                player.speedBonusTimer = 0;
+            }
+
+            // Update combo timer and streak decay
+            if (player.comboTimer > 0) {
+                player.comboTimer--;
+                if (player.comboTimer === 0) {
+                    player.multiplier = Math.max(1, player.multiplier - scoring.comboDecay);
+                }
+            }
+
+            if (this.tick - player.lastObstacleTick > scoring.streakDecayTicks) {
+                if (player.streak > 0) {
+                    player.streak = Math.max(0, player.streak - 1);
+                    player.multiplier = 1 + (player.streak * scoring.streakMultiplierStep);
+                }
+                player.lastObstacleTick = this.tick;
+            }
+        }
+
+        // Everyone races their own stream of obstacles and pads, unless the track is shared
+        getLanes() {
+            return this.config.track.shared ? [null] : Object.values(this.players).map(p => p.playerNum);
+        }
+
+        createObstacles() {
+            const obstacles = this.config.obstacles;
+            this.getLanes().forEach(playerNum => {
+                const obstacle = {
+                    id: this.nextEntityId++,
+                    laneX: this.rng() * obstacles.spawnRangeX + obstacles.spawnMinX,
+                    y: obstacles.spawnY,
+                    width: obstacles.width,
+                    height: obstacles.height,
+                    speed: obstacles.minSpeed + this.rng() * obstacles.speedRange,
+                    driftX: 0,
+                    nearMissedBy: [], // Players already paid for this near miss
+                    playerNum: playerNum
+                };
+                if (this.rng() < obstacles.movingChance) {
+                    obstacle.driftX = (this.rng() < 0.5 ? -1 : 1) * obstacles.driftSpeed;
+                }
+                this.placeOnRoad(obstacle);
+                this.gameState.obstacles.push(obstacle);
+            });
+        }
+
+        createBoostPads() {
+            const boostPads = this.config.boostPads;
+            this.getLanes().forEach(playerNum => {
+                const boostPad = {
+                    id: this.nextEntityId++,
+                    laneX: this.rng() * boostPads.spawnRangeX + boostPads.spawnMinX,
+                    y: boostPads.spawnY,
+                    width: boostPads.width,
+                    height: boostPads.height,
+                    speed: boostPads.speed,
+                    used: false,
+                    playerNum: playerNum
+                };
+                this.placeOnRoad(boostPad);
+                this.gameState.boostPads.push(boostPad);
+            });
+        }
+
+        // Things on the road keep their place across it (laneX, as if on a straight road of the
+        // base width) while it bends and narrows under them
+        placeOnRoad(entity) {
+            const track = this.config.track;
+            const position = getTrackPosition(this.config, this.gameState.roadOffset, entity.y + entity.height / 2);
+            const road = getRoadAt(track, position);
+            const scale = road.width / track.baseWidth;
+            entity.x = road.center + (entity.laneX + entity.width / 2 - track.centerX) * scale - entity.width / 2;
+        }
+
+        // Pick an item type at random, in proportion to the spawn weights
+        pickItemType() {
+            const types = this.config.items.types;
+            const names = Object.keys(types);
+            const totalWeight = names.reduce((sum, name) => sum + types[name].weight, 0);
+
+            let roll = this.rng() * totalWeight;
+            for (const name of names) {
+                roll -= types[name].weight;
+                if (roll < 0) return name;
+            }
+            return names[names.length - 1];
+        }
+
+        createItems() {
+            const items = this.config.items;
+            this.getLanes().forEach(playerNum => {
+                const item = {
+                    id: this.nextEntityId++,
+                    type: this.pickItemType(),
+                    laneX: this.rng() * items.spawnRangeX + items.spawnMinX,
+                    y: items.spawnY,
+                    width: items.width,
+                    height: items.height,
+                    speed: items.speed,
+                    taken: false,
+                    playerNum: playerNum
+                };
+                this.placeOnRoad(item);
+                this.gameState.items.push(item);
+            });
+        }
+
+        // Whether a racer this obstacle is coming at has slow motion running
+        isSlowed(obstacle) {
+            return Object.values(this.players).some(p =>
+                p.slowMoTime > 0 && isRacing(p) && isForPlayer(obstacle, p.playerNum));
+        }
+
+        updateObstacles() {
+            const scoring = this.config.scoring;
+            const obstacles = this.config.obstacles;
+            const slowFactor = this.config.items.types.slowMo.factor;
+
+            this.gameState.obstacles = this.gameState.obstacles.filter(obstacle => {
+                obstacle.y += (obstacle.speed + this.config.scrollSpeed) * (this.isSlowed(obstacle) ? slowFactor : 1);
+
+                // Weaving obstacles turn around at the edges of the road
+                if (obstacle.driftX !== 0) {
+                    obstacle.laneX += obstacle.driftX;
+                    if (obstacle.laneX < obstacles.spawnMinX || obstacle.laneX > obstacles.spawnMinX + obstacles.spawnRangeX) {
+                        obstacle.driftX = -obstacle.driftX;
+                    }
+                }
+                this.placeOnRoad(obstacle);
+
+                if (obstacle.y > this.config.track.despawnY) {
+                    Object.values(this.players)
+                        .filter(p => isForPlayer(obstacle, p.playerNum) && isRacing(p))
+                        .forEach(player => {
+                            const survivalPoints = (scoring.survivalPoints + player.streak) * player.multiplier;
+                            player.score += survivalPoints;
+                            this.raiseStreak(player);
+                            this.events.push({
+                                playerId: player.id,
+                                type: 'dodge',
+                                points: survivalPoints,
+                                x: player.x,
+                                y: player.y
+                            });
+                        });
+                    return false;
+                }
+                return true;
+            });
+        }
+
+        updateBoostPads() {
+            const magnet = this.config.items.types.magnet;
+            const magnets = Object.values(this.players).filter(p => p.magnetTime > 0 && isRacing(p));
+
+            this.gameState.boostPads = this.gameState.boostPads.filter(pad => {
+                pad.y += pad.speed + this.config.scrollSpeed;
+
+                // A magnet drags unused pads in its range towards the car
+                if (!pad.used) {
+                    magnets.filter(p => isForPlayer(pad, p.playerNum)).forEach(player => {
+                        const dx = (player.x + player.width / 2) - (pad.x + pad.width / 2);
+                        const dy = (player.y + player.height / 2) - (pad.y + pad.height / 2);
+                        const distance = Math.sqrt(dx * dx + dy * dy);
+                        if (distance > 0 && distance < magnet.radius) {
+                            const pull = Math.min(magnet.pull, distance);
+                            pad.laneX += dx / distance * pull;
+                            pad.y += dy / distance * pull;
+                        }
+                    });
+                }
+                this.placeOnRoad(pad);
+
+                return pad.y <= this.config.track.despawnY;
+            });
+        }
+
+        updateItems() {
+            this.gameState.items = this.gameState.items.filter(item => {
+                item.y += item.speed + this.config.scrollSpeed;
+                this.placeOnRoad(item);
+                return !item.taken && item.y <= this.config.track.despawnY;
+            });
+        }
+
+        // Start an item's effect on the car that drove over it - pickups score with the
+        // multiplier, hazards cost a flat penalty
+        collectItem(player, item) {
+            const settings = this.config.items.types[item.type];
+            item.taken = true;
+            player[ITEM_EFFECTS[item.type]] = settings.durationTicks;
+
+            const points = settings.points > 0 ? settings.points * player.multiplier : settings.points;
+            player.score += points;
+
+            this.events.push({
+                playerId: player.id,
+                type: item.type,
+                points: Math.floor(points),
+                x: player.x,
+                y: player.y
+            });
+        }
+
+        checkCollisions() {
+            const scoring = this.config.scoring;
+            const collision = this.config.collision;
+
+            Object.values(this.players).filter(isRacing).forEach(player => {
+                // Check obstacle collisions
+                this.gameState.obstacles.forEach(obstacle => {
+                    if (isForPlayer(obstacle, player.playerNum) && isRacing(player)) {
+                        const distance = Math.sqrt(
+                            Math.pow(player.x + player.width/2 - (obstacle.x + obstacle.width/2), 2) +
+                            Math.pow(player.y + player.height/2 - (obstacle.y + obstacle.height/2), 2)
+                        );
+
+                        // The shield takes the hit instead of the car
+                        if (overlaps(player, obstacle) && player.shieldTime > 0) {
+                            player.shieldTime = 0;
+                            obstacle.y = this.config.track.despawnY + 50;
+                            this.events.push({
+                                playerId: player.id,
+                                type: 'shieldBlock',
+                                points: 0,
+                                x: player.x,
+                                y: player.y
+                            });
+                        }
+                        // Direct collision
+                        else if (overlaps(player, obstacle)) {
+                            player.speed *= collision.speedFactor;
+                            player.velocityX *= collision.bounceFactor;
+                            player.velocityY *= collision.bounceFactor;
+                            const penalty = -scoring.collisionPenalty - (player.streak * scoring.collisionStreakPenalty);
+                            player.score += penalty;
+                            player.streak = 0;
+                            player.multiplier = 1;
+                            player.nearMissCount = 0;
+                            obstacle.y = this.config.track.despawnY + 50; // Gone next tick, without survival points
+
+                            player.collisions++;
+                            this.events.push({
+                                playerId: player.id,
+                                type: 'collision',
+                                points: penalty,
+                                x: player.x,
+                                y: player.y
+                            });
+                            if (this.config.mode.type === 'survival' && player.collisions >= this.config.mode.collisionBudget) {
+                                player.eliminatedTick = this.tick;
+                                this.events.push({ playerId: player.id, type: 'eliminated' });
+                            }
+                        }
+                        // Near miss (very generous conditions for frequent animations)
+                        else if (distance < scoring.nearMissRadius &&
+                            obstacle.y > player.y - scoring.nearMissRadius &&
+                            obstacle.y < player.y + scoring.nearMissRadius) {
+                            if (!obstacle.nearMissedBy.includes(player.playerNum)) {
+                                const nearMissPoints = scoring.nearMissPoints * player.multiplier;
+                                player.score += nearMissPoints;
+                                player.nearMissCount++;
+                                obstacle.nearMissedBy.push(player.playerNum);
+
+                                // Near miss event for visual effects
+                                this.events.push({
+                                    playerId: player.id,
+                                    type: 'nearMiss',
+                                    points: nearMissPoints,
+                                    x: player.x,
+                                    y: player.y
+                                });
+
+                                if (player.nearMissCount >= scoring.perfectNearMisses) {
+                                    const perfectPoints = scoring.perfectPoints * player.multiplier;
+                                    player.score += perfectPoints;
+                                    player.nearMissCount = 0;
+                                    player.perfectCount++;
+
+                                    // Perfect event for visual effects
+                                    this.events.push({
+                                        playerId: player.id,
+                                        type: 'perfect',
+                                        points: perfectPoints,
+                                        x: player.x,
+                                        y: player.y
+                                    });
+                                }
+                            }
+                        }
+                    }
+                });
+
+                // Check boost pad collisions
+                this.gameState.boostPads.forEach(pad => {
+                    // On a shared track the first car to reach a pad takes it
+                    if (isForPlayer(pad, player.playerNum) && !pad.used && isRacing(player) && overlaps(player, pad)) {
+                        player.boosting = true;
+                        player.boostTime = this.config.boostPads.durationTicks;
+                        player.maxSpeed = this.config.car.boostSpeed;
+                        pad.used = true;
+
+                        const boostPoints = (scoring.boostPoints + (player.streak * scoring.boostStreakPoints)) * player.multiplier;
+                        player.score += boostPoints;
+                        this.raiseStreak(player);
+                        player.comboTimer = scoring.comboTicks;
+
+                        this.events.push({
+                            playerId: player.id,
+                            type: 'boost',
+                            points: boostPoints,
+                            x: player.x,
+                            y: player.y
+                        });
+                    }
+                });
+
+                // Check item pickups - on a shared track the first car there takes it
+                this.gameState.items.forEach(item => {
+                    if (isForPlayer(item, player.playerNum) && !item.taken && isRacing(player) && overlaps(player, item)) {
+                        this.collectItem(player, item);
+                    }
+                });
+            });
+
+            if (this.config.track.shared) {
+                this.bumpCars();
+            }
+        }
+
+        // Cars on a shared track push each other apart and trade momentum when they touch
+        bumpCars() {
+            const racers = Object.values(this.players).filter(isRacing);
+            const bounce = this.config.collision.carBounce;
+
+            for (let i = 0; i < racers.length; i++) {
+                for (let j = i + 1; j < racers.length; j++) {
+                    const a = racers[i];
+                    const b = racers[j];
+                    if (!overlaps(a, b)) continue;
+
+                    const dx = (a.x + a.width / 2) - (b.x + b.width / 2);
+                    const dy = (a.y + a.height / 2) - (b.y + b.height / 2);
+                    const overlapX = (a.width + b.width) / 2 - Math.abs(dx);
+                    const overlapY = (a.height + b.height) / 2 - Math.abs(dy);
+
+                    // Separate along the axis they overlap least on, and bounce along it
+                    const sideways = overlapX < overlapY;
+                    const axis = sideways ? 'x' : 'y';
+                    const velocity = sideways ? 'velocityX' : 'velocityY';
+                    const direction = (sideways ? dx : dy) < 0 ? -1 : 1; // From b towards a
+                    const push = (sideways ? overlapX : overlapY) / 2;
+
+                    a[axis] += push * direction;
+                    b[axis] -= push * direction;
+
+                    // Equal masses - only cars moving into each other exchange momentum
+                    const closing = (a[velocity] - b[velocity]) * direction;
+                    if (closing < 0) {
+                        const impulse = -(1 + bounce) * closing / 2;
+                        a[velocity] += impulse * direction;
+                        b[velocity] -= impulse * direction;
+                    }
+
+                    keepOnTrack(a, this.config);
+                    keepOnTrack(b, this.config);
+                }
+            }
+        }
+    }
+
+    // Racers best first by the mode's rules, with score breaking any tie
+    const RANKINGS = {
+        timed: (a, b) => b.score - a.score,
+        // Finishers in the order they crossed the line, then whoever got furthest
+        distance: (a, b) => (a.finishTick === null) - (b.finishTick === null) ||
+            a.finishTick - b.finishTick ||
+            b.distance - a.distance ||
+            b.score - a.score,
+        // Racers still in, then the ones who lasted longest
+        survival: (a, b) => (a.eliminatedTick !== null) - (b.eliminatedTick !== null) ||
+            b.eliminatedTick - a.eliminatedTick ||
+            b.score - a.score
+    };
+
+    function rankPlayers(players, config = DEFAULT_CONFIG) {
+        return Object.values(players).sort(RANKINGS[config.mode.type] || RANKINGS.timed);
+    }
+
+    // Places of racers ranked best first - racers the mode's rules can't tell apart share one
+    function getPlaces(ranking, config = DEFAULT_CONFIG) {
+        const compare = RANKINGS[config.mode.type] || RANKINGS.timed;
+        const places = [];
+        ranking.forEach((player, index) => {
+            places.push(index > 0 && compare(ranking[index - 1], player) === 0 ? places[index - 1] : index + 1);
+        });
+        return places;
+    }
+
+    // Only what clients need to draw the race - inputs, timers and physics internals stay on the server
+    function getPublicGameState(players, gameState) {
+        const state = {
+            timeRemaining: gameState.timeRemaining,
+            roadOffset: gameState.roadOffset,
+            players: {},
+            obstacles: {},
+            boostPads: {},
+            items: {}
+        };
+
+        Object.values(players).forEach(p => {
+            state.players[p.id] = {
+                id: p.id,
+                playerNum: p.playerNum,
+                name: p.name,
+                x: round(p.x, 2),
+                y: round(p.y, 2),
+                width: p.width,
+                height: p.height,
+                angle: round(p.angle, 4),
+                speed: round(p.speed, 3),
+                score: Math.floor(p.score),
+                streak: p.streak,
+                multiplier: round(p.multiplier, 2),
+                boosting: p.boosting,
+                shieldTime: p.shieldTime,
+                magnetTime: p.magnetTime,
+                slowMoTime: p.slowMoTime,
+                oilTime: p.oilTime,
+                offRoad: p.offRoad,
+                distance: Math.floor(p.distance),
+                collisions: p.collisions,
+                finishTick: p.finishTick,
+                eliminatedTick: p.eliminatedTick,
+                // What the owning client needs to predict its car and reconcile with the server
+                velocityX: round(p.velocityX, 3),
+                velocityY: round(p.velocityY, 3),
+                turnSpeed: round(p.turnSpeed, 3),
+                boostTime: p.boostTime,
+                maxSpeed: p.maxSpeed,
+                lastInput: p.lastInput
+            };
+        });
+
+        gameState.obstacles.forEach(o => {
+            state.obstacles[o.id] = {
+                id: o.id,
+                x: round(o.x),
+                y: round(o.y),
+                width: o.width,
+                height: o.height,
+                moving: o.driftX !== 0,
+                playerNum: o.playerNum
+            };
+        });
+
+        gameState.boostPads.forEach(b => {
+            state.boostPads[b.id] = {
+                id: b.id,
+                x: round(b.x),
+                y: round(b.y),
+                width: b.width,
+                height: b.height,
+                used: b.used,
+                playerNum: b.playerNum
+            };
+        });
+
+        gameState.items.forEach(item => {
+            state.items[item.id] = {
+                id: item.id,
+                type: item.type,
+                x: round(item.x),
+                y: round(item.y),
+                width: item.width,
+                height: item.height,
+                playerNum: item.playerNum
+            };
+        });
+
+        return state;
+    }
+
+    // Rerun a recorded race from its seed, config and inputs, calling onTick after every step
+    function simulateReplay(replay, onTick) {
+        const config = replay.config || DEFAULT_CONFIG;
+        const players = {};
+        replay.players.forEach(p => {
+            players[p.id] = {
+                id: p.id,
+                playerNum: p.playerNum,
+                name: p.name,
+                ...createCarState(config),
+                input: normalizeInput(null)
+            };
+        });
+
+        const simulation = new RaceSimulation(players, replay.seed, config);
+        const playerByNum = {};
+        Object.values(players).forEach(p => {
+            playerByNum[p.playerNum] = p;
+        });
+
+        const departures = replay.departures || [];
+        let nextInput = 0;
+        let nextDeparture = 0;
+        while (simulation.tick < replay.ticks) {
+            while (nextDeparture < departures.length && departures[nextDeparture].tick === simulation.tick) {
+                const departure = departures[nextDeparture++];
+                delete players[playerByNum[departure.playerNum].id];
+            }
+            while (nextInput < replay.inputs.length && replay.inputs[nextInput].tick === simulation.tick) {
+                const entry = replay.inputs[nextInput++];
+                playerByNum[entry.playerNum].input = entry.input;
+            }
+
+            simulation.gameState.timeRemaining = getTimeRemaining(simulation.tick, replay.durationTicks, config);
+            simulation.step();
+            simulation.takeEvents();
+            onTick(simulation);
+        }
+
+        return simulation;
+    }
+
+    return {
+        TICK_RATE,
+        RACE_MODES,
+        ITEM_EFFECTS,
+        DEFAULT_CONFIG,
+        INPUT_KEYS,
+        INPUT_AXES,
+        CAR_PHYSICS_FIELDS,
+        createConfig,
+        createRng,
+        getTimeRemaining,
+        normalizeInput,
+        round,
+        createCarState,
+        copyCarPhysics,
+        getRoadAt,
+        getTrackPosition,
+        stepCar,
+        isForPlayer,
+        RaceSimulation,
+        rankPlayers,
+        getPlaces,
+        getPublicGameState,
+        simulateReplay
+    };
+}));
@@ -0,0 +1,147 @@
+// Per-race stats built from what the simulation reports each tick, and the achievements racers earn
+// from them - achievements belong to player accounts, so racers without one don't earn any
+const { ITEM_EFFECTS } = require('./race-simulation');
+
+// Which stat and point source each score event counts towards
+const EVENT_STATS = {
+    dodge: { count: null, points: 'dodges' },
+    nearMiss: { count: 'nearMisses', points: 'nearMisses' },
+    perfect: { count: 'perfects', points: 'perfects' },
+    boost: { count: 'boosts', points: 'boosts' },
+    collision: { count: 'collisions', points: 'collisions' }
+};
+Object.keys(ITEM_EFFECTS).forEach(type => {
+    EVENT_STATS[type] = { count: 'items', points: 'items' };
+});
+
+const SPEED_DEMON_SHARE = 0.95; // Of the speed a boosted car levels off at
+
+// Speed a car settles at with the pedal down - every tick closes part of the gap to the target speed
+// and then loses some to drag, so it levels off below the target itself
+function getTopSpeed(targetSpeed, carConfig) {
+    const { acceleration, drag } = carConfig;
+    return drag * acceleration * targetSpeed / (1 - drag * (1 - acceleration));
+}
+
+// Live ones are checked every tick and announced on the spot, the rest once the race is over.
+// Live checks get the racer's stats and the race config. Finish checks get the racer's stats, their place, the number of racers and their account totals -
+// career ones are skipped for races that don't count towards those totals (no account given)
+const ACHIEVEMENTS = {
+    onFire: {
+        icon: '🔥', name: 'On Fire', description: 'Build a streak of 20 in one race',
+        live: true, check: ({ stats }) => stats.longestStreak >= 20
+    },
+    perfectionist: {
+        icon: '💎', name: 'Perfectionist', description: 'Score 3 perfects in one race',
+        live: true, check: ({ stats }) => stats.perfects >= 3
+    },
+    closeShave: {
+        icon: '😅', name: 'Close Shave', description: 'Pull off 10 near misses in one race',
+        live: true, check: ({ stats }) => stats.nearMisses >= 10
+    },
+    boostJunkie: {
+        icon: '🚀', name: 'Boost Junkie', description: 'Hit 5 boost pads in one race',
+        live: true, check: ({ stats }) => stats.boosts >= 5
+    },
+    speedDemon: {
+        icon: '⚡', name: 'Speed Demon', description: 'Hit top speed off a boost pad',
+        live: true,
+        check: ({ stats, config }) =>
+            stats.topSpeed >= Math.floor(getTopSpeed(config.car.boostSpeed, config.car) * SPEED_DEMON_SHARE * 10)
+    },
+    untouchable: {
+        icon: '😇', name: 'Untouchable', description: 'Finish a race without a single crash',
+        check: ({ stats }) => stats.collisions === 0
+    },
+    highRoller: {
+        icon: '💯', name: 'High Roller', description: 'Score 10000 points in one race',
+        check: ({ result }) => result.score >= 10000
+    },
+    firstWin: {
+        icon: '🏆', name: 'First Victory', description: 'Win a race against at least one other racer',
+        check: ({ place, racers }) => place === 1 && racers > 1
+    },
+    regular: {
+        icon: '🏁', name: 'Regular', description: 'Finish 10 races',
+        career: true, check: ({ account }) => account.races >= 10
+    },
+    champion: {
+        icon: '👑', name: 'Champion', description: 'Win 10 races',
+        career: true, check: ({ account }) => account.wins >= 10
+    }
+};
+
+function createRaceStats() {
+    return {
+        topSpeed: 0,
+        longestStreak: 0,
+        nearMisses: 0,
+        perfects: 0,
+        boosts: 0,
+        collisions: 0,
+        items: 0,
+        points: { speed: 0, dodges: 0, nearMisses: 0, perfects: 0, boosts: 0, items: 0, collisions: 0 },
+        achievements: [] // Ids earned during this race
+    };
+}
+
+// One tick of a racer - the events it caused and how far its score moved. Speed points come in
+// every tick without an event, so they are whatever the events don't account for
+function recordTick(stats, car, events, scoreChange) {
+    stats.topSpeed = Math.max(stats.topSpeed, Math.floor(Math.abs(car.speed) * 10)); // As the HUD shows it
+    stats.longestStreak = Math.max(stats.longestStreak, car.streak);
+
+    let eventPoints = 0;
+    events.forEach(event => {
+        const counts = EVENT_STATS[event.type];
+        if (!counts) return; // Popups only, like the once-a-second speed bonus
+
+        if (counts.count) {
+            stats[counts.count]++;
+        }
+        stats.points[counts.points] += event.points;
+        eventPoints += event.points;
+    });
+    stats.points.speed += scoreChange - eventPoints;
+}
+
+// Whole points for the results screen
+function summarizeRaceStats(stats) {
+    const points = {};
+    Object.keys(stats.points).forEach(source => {
+        points[source] = Math.round(stats.points[source]);
+    });
+
+    return {
+        topSpeed: stats.topSpeed,
+        longestStreak: stats.longestStreak,
+        nearMisses: stats.nearMisses,
+        perfects: stats.perfects,
+        boosts: stats.boosts,
+        collisions: stats.collisions,
+        items: stats.items,
+        points: points
+    };
+}
+
+// Achievements a racer has just reached and doesn't hold yet
+function findNewAchievements(context, held, live) {
+    return Object.keys(ACHIEVEMENTS).filter(id => {
+        const achievement = ACHIEVEMENTS[id];
+        return !held[id] && !!achievement.live === live &&
+            (!achievement.career || context.account) && achievement.check(context);
+    });
+}
+
+function describeAchievement(id) {
+    const achievement = ACHIEVEMENTS[id];
+    return { id: id, icon: achievement.icon, name: achievement.name, description: achievement.description };
+}
+
+module.exports = {
+    createRaceStats,
+    recordTick,
+    summarizeRaceStats,
+    findNewAchievements,
+    describeAchievement
+};
@@ -0,0 +1,333 @@
+// Checks everything clients send over the socket before any handler sees it: every event needs a
+// schema, is rate limited per socket, and sockets that keep breaking the rules get disconnected
+const { INPUT_KEYS, INPUT_AXES, RACE_MODES } = require('./race-simulation');
+const { BOT_DIFFICULTIES } = require('./bot-driver');
+const { CHAT_MESSAGE_LENGTH, EMOTES } = require('./lobby-chat');
+
+const PLAYER_NAME_LENGTH = { min: 2, max: 20 };
+const LOBBY_NAME_LENGTH = { min: 1, max: 30 };
+const MAX_ID_LENGTH = 64;
+const MAX_PASSWORD_LENGTH = 64;
+const SERIES_LENGTHS = [1, 3, 5, 7]; // Best-of-N rounds - 1 plays single races
+const MAX_STRIKES = 30; // Rejected events a socket may pile up before it is disconnected
+const STRIKE_DECAY_MS = 1000; // One strike is forgiven every second
+
+class ValidationError extends Error {}
+
+// Text shown to other players stays on one line of printable characters
+function sanitizeText(value) {
+    return String(value)
+        .normalize('NFC')
+        .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u206f\ufeff]/g, '') // Control, zero-width and direction marks
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Names end up inside markup all over the client, so they lose anything HTML-like too
+function sanitizeName(value) {
+    return sanitizeText(String(value).replace(/[<>&"'`]/g, ''));
+}
+
+// Checkers return the cleaned value or throw a ValidationError
+function name(label, length) {
+    return value => {
+        const cleaned = typeof value === 'string' ? sanitizeName(value) : '';
+        if (cleaned.length < length.min || cleaned.length > length.max) {
+            throw new ValidationError(`${label} must be ${length.min}-${length.max} characters`);
+        }
+        return cleaned;
+    };
+}
+
+function id(label) {
+    return value => {
+        if (typeof value !== 'string' || value.length === 0 || value.length > MAX_ID_LENGTH) {
+            throw new ValidationError(`Invalid ${label}`);
+        }
+        return value;
+    };
+}
+
+// Chat messages - the client never treats them as markup, so punctuation can stay
+function message(label, length) {
+    return value => {
+        const cleaned = typeof value === 'string' ? sanitizeText(value) : '';
+        if (cleaned.length < length.min || cleaned.length > length.max) {
+            throw new ValidationError(`${label} must be ${length.min}-${length.max} characters`);
+        }
+        return cleaned;
+    };
+}
+
+// Free text that is never shown to anyone, like passwords
+function text(label, maxLength) {
+    return value => {
+        if (typeof value !== 'string' || value.length === 0 || value.length > maxLength) {
+            throw new ValidationError(`${label} must be 1-${maxLength} characters`);
+        }
+        return value;
+    };
+}
+
+// Join codes are read out loud and typed by hand, so case and spacing don't matter
+function joinCode() {
+    return value => {
+        const cleaned = typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase() : '';
+        if (!/^[A-Z0-9]{4,12}$/.test(cleaned)) {
+            throw new ValidationError('Invalid join code');
+        }
+        return cleaned;
+    };
+}
+
+function integer(label, min, max) {
+    return value => {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new ValidationError(`${label} must be a whole number from ${min} to ${max}`);
+        }
+        return value;
+    };
+}
+
+function boolean(label) {
+    return value => {
+        if (typeof value !== 'boolean') {
+            throw new ValidationError(`${label} must be true or false`);
+        }
+        return value;
+    };
+}
+
+function oneOf(label, values) {
+    return value => {
+        if (!values.includes(value)) {
+            throw new ValidationError(`${label} must be one of ${values.join(', ')}`);
+        }
+        return value;
+    };
+}
+
+function optional(checker) {
+    return value => (value === undefined || value === null ? undefined : checker(value));
+}
+
+// Unknown fields are dropped
+function object(fields) {
+    return value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ValidationError('Expected an object');
+        }
+
+        const cleaned = {};
+        Object.keys(fields).forEach(key => {
+            cleaned[key] = fields[key](value[key]);
+        });
+        return cleaned;
+    };
+}
+
+// Events that carry nothing
+function nothing() {
+    return () => undefined;
+}
+
+function input() {
+    return value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ValidationError('Expected an input object');
+        }
+
+        const cleaned = {};
+        INPUT_KEYS.forEach(key => {
+            if (value[key] !== undefined && typeof value[key] !== 'boolean') {
+                throw new ValidationError(`Input ${key} must be true or false`);
+            }
+            cleaned[key] = value[key] === true;
+        });
+        INPUT_AXES.forEach(axis => {
+            if (value[axis] === undefined) {
+                cleaned[axis] = 0;
+                return;
+            }
+            if (typeof value[axis] !== 'number' || !(value[axis] >= -1 && value[axis] <= 1)) {
+                throw new ValidationError(`Input ${axis} must be a number from -1 to 1`);
+            }
+            cleaned[axis] = value[axis];
+        });
+        return cleaned;
+    };
+}
+
+// What every event may carry, and how often - rate is [events per second, burst]
+const SOCKET_EVENTS = {
+    identify: {
+        rate: [1, 5],
+        schema: optional(object({
+            playerId: optional(id('player id')),
+            token: optional(id('token')),
+            name: optional(name('Player name', PLAYER_NAME_LENGTH))
+        }))
+    },
+    getLobbies: { rate: [2, 10], schema: nothing() },
+    createLobby: {
+        rate: [1, 5],
+        schema: object({
+            playerName: name('Player name', PLAYER_NAME_LENGTH),
+            lobbyName: name('Race name', LOBBY_NAME_LENGTH),
+            maxPlayers: optional(integer('Lobby size', 1, 100)),
+            disconnectPolicy: optional(oneOf('Disconnect policy', ['continue', 'pause'])),
+            bots: optional(integer('Bot count', 0, 100)),
+            botDifficulty: optional(oneOf('Bot difficulty', Object.keys(BOT_DIFFICULTIES))),
+            isPrivate: optional(boolean('Private')),
+            password: optional(text('Password', MAX_PASSWORD_LENGTH)),
+            mode: optional(oneOf('Race mode', RACE_MODES)),
+            durationSeconds: optional(integer('Time limit', 10, 600)),
+            targetDistance: optional(integer('Race distance', 100, 20000)),
+            collisionBudget: optional(integer('Collision budget', 1, 20)),
+            seriesLength: optional(oneOf('Series length', SERIES_LENGTHS)),
+            sharedTrack: optional(boolean('Shared track')),
+            trackId: optional(id('track id')),
+            timeTrial: optional(boolean('Time trial'))
+        })
+    },
+    joinLobby: {
+        rate: [2, 5],
+        schema: object({
+            lobbyId: id('lobby id'),
+            playerName: name('Player name', PLAYER_NAME_LENGTH),
+            password: optional(text('Password', MAX_PASSWORD_LENGTH))
+        })
+    },
+    joinByCode: {
+        rate: [1, 5], // Slow enough that codes and passwords can't be guessed
+        schema: object({
+            code: joinCode(),
+            playerName: name('Player name', PLAYER_NAME_LENGTH),
+            password: optional(text('Password', MAX_PASSWORD_LENGTH))
+        })
+    },
+    spectateLobby: {
+        rate: [2, 5],
+        schema: object({
+            lobbyId: id('lobby id'),
+            playerName: name('Player name', PLAYER_NAME_LENGTH),
+            password: optional(text('Password', MAX_PASSWORD_LENGTH))
+        })
+    },
+    leaveLobby: { rate: [2, 5], schema: id('lobby id') },
+    joinQueue: {
+        rate: [1, 5],
+        schema: object({ playerName: name('Player name', PLAYER_NAME_LENGTH) })
+    },
+    leaveQueue: { rate: [2, 5], schema: nothing() },
+    resumeSession: {
+        rate: [1, 5],
+        schema: object({
+            lobbyId: id('lobby id'),
+            sessionToken: id('session token')
+        })
+    },
+    playerInput: {
+        rate: [180, 240], // Clients send one per tick for each seat they drive
+        schema: object({
+            lobbyId: id('lobby id'),
+            seq: integer('Input sequence', 1, Number.MAX_SAFE_INTEGER),
+            input: input(),
+            local: optional(boolean('Local player'))
+        })
+    },
+    snapshotAck: { rate: [60, 90], schema: optional(integer('Snapshot id', 1, Number.MAX_SAFE_INTEGER)) },
+    setReady: { rate: [5, 10], schema: object({ ready: boolean('Ready') }) },
+    startRace: { rate: [2, 5], schema: id('lobby id') },
+    addBot: {
+        rate: [2, 8],
+        schema: object({
+            lobbyId: id('lobby id'),
+            difficulty: optional(oneOf('Bot difficulty', Object.keys(BOT_DIFFICULTIES)))
+        })
+    },
+    removeBot: {
+        rate: [2, 8],
+        schema: object({
+            lobbyId: id('lobby id'),
+            botId: id('bot id')
+        })
+    },
+    addLocalPlayer: {
+        rate: [2, 5],
+        schema: object({
+            lobbyId: id('lobby id'),
+            playerName: name('Player name', PLAYER_NAME_LENGTH)
+        })
+    },
+    removeLocalPlayer: { rate: [2, 5], schema: id('lobby id') },
+    getReplay: { rate: [2, 5], schema: id('replay id') },
+    chatMessage: {
+        rate: [1, 5],
+        schema: object({ text: message('Message', CHAT_MESSAGE_LENGTH) })
+    },
+    emote: {
+        rate: [2, 4],
+        schema: object({ emote: oneOf('Emote', Object.keys(EMOTES)) })
+    }
+};
+
+// Validate and rate limit every event a socket sends, replacing its payload with the cleaned one
+function guardSocket(socket) {
+    const buckets = {};
+    let strikes = 0;
+    let lastDecay = Date.now();
+
+    function takeToken(event, [perSecond, burst]) {
+        const now = Date.now();
+        const bucket = buckets[event] || (buckets[event] = { tokens: burst, updatedAt: now });
+
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * perSecond / 1000);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens < 1) return false;
+        bucket.tokens--;
+        return true;
+    }
+
+    function strike(event, reason) {
+        const now = Date.now();
+        const forgiven = Math.floor((now - lastDecay) / STRIKE_DECAY_MS);
+        strikes = Math.max(0, strikes - forgiven) + 1;
+        lastDecay += forgiven * STRIKE_DECAY_MS;
+
+        if (strikes > MAX_STRIKES) {
+            console.warn(`Disconnecting ${socket.id} for abuse (last: ${event} - ${reason})`);
+            socket.disconnect(true);
+        }
+    }
+
+    socket.use((packet, next) => {
+        if (socket.disconnected) return; // Packets still queued from a socket we just threw out
+
+        const [event, data] = packet;
+        const rule = SOCKET_EVENTS[event];
+
+        if (!rule) {
+            strike(event, 'unknown event');
+            return;
+        }
+        if (!takeToken(event, rule.rate)) {
+            strike(event, 'rate limited');
+            return;
+        }
+
+        try {
+            packet[1] = rule.schema(data);
+        } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            socket.emit('invalidRequest', { event: event, reason: err.message });
+            strike(event, err.message);
+            return;
+        }
+
+        next();
+    });
+}
+
+module.exports = { guardSocket, sanitizeName, SOCKET_EVENTS, SERIES_LENGTHS, ValidationError };
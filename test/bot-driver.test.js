@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createConfig, createCarState, createRng } = require('../race-simulation');
+const { BotDriver } = require('../bot-driver');
+
+function createCar(config) {
+    return { playerNum: 1, ...createCarState(config) };
+}
+
+function emptyRoad() {
+    return { obstacles: [], boostPads: [], items: [], roadOffset: 0 };
+}
+
+// An obstacle coming straight down at the car, a few car lengths ahead
+function obstacleAhead(car, config) {
+    return {
+        id: 1,
+        playerNum: car.playerNum,
+        x: car.x,
+        y: car.y - 150,
+        width: config.obstacles.width,
+        height: config.obstacles.height,
+        speed: config.obstacles.minSpeed,
+        driftX: 0
+    };
+}
+
+test('bots with the same seed drive the same way', () => {
+    const config = createConfig();
+    const gameState = emptyRoad();
+    const car = createCar(config);
+    gameState.obstacles.push(obstacleAhead(car, config));
+
+    const decisions = seed => {
+        const driver = new BotDriver('easy', createRng(seed));
+        return Array.from({ length: 60 }, () => driver.decide(car, gameState, config));
+    };
+
+    assert.deepStrictEqual(decisions(99), decisions(99));
+});
+
+test('a hard bot steers around an obstacle in its way', () => {
+    const config = createConfig();
+    const gameState = emptyRoad();
+    const car = createCar(config);
+    gameState.obstacles.push(obstacleAhead(car, config));
+
+    const input = new BotDriver('hard', createRng(1)).decide(car, gameState, config);
+
+    assert.ok(input.left || input.right, `expected a swerve, got ${JSON.stringify(input)}`);
+});
+
+test('a bot on an empty road keeps out of trouble and holds its line', () => {
+    const config = createConfig();
+    const car = createCar(config);
+
+    const input = new BotDriver('hard', createRng(1)).decide(car, emptyRoad(), config);
+
+    assert.ok(!input.left && !input.right, `expected no steering, got ${JSON.stringify(input)}`);
+});
+
+test('unknown difficulties drive like the default bot', () => {
+    const driver = new BotDriver('impossible', createRng(1));
+
+    assert.strictEqual(driver.settings, new BotDriver('medium', createRng(1)).settings);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFile } = require('../json-file');
+
+test('writes land one at a time and the latest data wins', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+    const file = new JsonFile(path.join(dir, 'nested', 'data.json'), 'test file');
+
+    assert.strictEqual(file.read(), null);
+
+    file.write({ version: 1 });
+    file.write({ version: 2 });
+    const written = await file.write({ version: 3 });
+
+    assert.strictEqual(written, true);
+    assert.deepStrictEqual(file.read(), { version: 3 });
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file.filePath)), ['data.json']);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MatchmakingQueue } = require('../matchmaking');
+
+const START = 1000000;
+const seconds = s => START + s * 1000;
+
+function queueWith(ratings) {
+    const queue = new MatchmakingQueue();
+    ratings.forEach((rating, index) => {
+        queue.add(`socket-${index + 1}`, { name: `Racer ${index + 1}`, rating }, START);
+    });
+    return queue;
+}
+
+const socketIds = matches => matches.map(group => group.map(entry => entry.socketId));
+
+test('a full field of close ratings is matched straight away', () => {
+    const queue = queueWith([1500, 1520, 1480, 1550]);
+
+    assert.deepStrictEqual(socketIds(queue.findMatches(START)), [['socket-1', 'socket-2', 'socket-3', 'socket-4']]);
+    assert.strictEqual(queue.size, 0);
+});
+
+test('far apart ratings only meet once the accepted gap has grown', () => {
+    const queue = queueWith([1500, 2000]);
+
+    assert.deepStrictEqual(queue.findMatches(seconds(21)), []); // Past the fill wait, but 500 apart
+    assert.deepStrictEqual(queue.findMatches(seconds(39)), []);
+    assert.deepStrictEqual(socketIds(queue.findMatches(seconds(40))), [['socket-1', 'socket-2']]);
+});
+
+test('players are matched with the closest ratings first', () => {
+    const queue = queueWith([1500, 1800, 1550, 1590, 1510, 1520]);
+
+    const [group] = queue.findMatches(START);
+
+    assert.deepStrictEqual(group.map(entry => entry.rating), [1500, 1510, 1520, 1550]);
+    assert.strictEqual(queue.size, 2);
+});
+
+test('a player nobody is close to goes ahead alone after the solo wait', () => {
+    const queue = queueWith([1500]);
+
+    assert.deepStrictEqual(queue.findMatches(seconds(44)), []);
+    assert.deepStrictEqual(socketIds(queue.findMatches(seconds(45))), [['socket-1']]);
+});
+
+test('queueing again keeps a player\'s place in line', () => {
+    const queue = queueWith([1500, 1900]);
+    queue.add('socket-1', { name: 'Racer 1', rating: 1500 }, seconds(30));
+
+    const status = queue.getStatus('socket-1', seconds(30));
+
+    assert.strictEqual(status.position, 1);
+    assert.strictEqual(status.queued, 2);
+    assert.strictEqual(status.waitedSeconds, 30);
+    assert.strictEqual(status.ratingGap, 400);
+    assert.strictEqual(queue.getStatus('socket-3'), null);
+});
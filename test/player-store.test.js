@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PlayerStore } = require('../player-store');
+
+const stores = [];
+
+function createStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'player-store-'));
+    const store = new PlayerStore(path.join(dir, 'players.json'));
+    stores.push({ dir, store });
+    return store;
+}
+
+// Let the last saves land before their files go
+test.after(async () => {
+    await Promise.all(stores.map(({ store }) => store.save()));
+    stores.forEach(({ dir }) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('ids that name object built-ins are not accounts', () => {
+    const store = createStore();
+
+    ['constructor', '__proto__', 'toString', 'hasOwnProperty'].forEach(id => {
+        assert.strictEqual(store.getPlayerProfile(id), null);
+        assert.strictEqual(store.getRating(id), 1500);
+
+        const { account } = store.identify(id, 'token', 'Racer');
+        assert.notStrictEqual(account.id, id);
+    });
+});
+
+test('ratings follow the places, not the scores', () => {
+    const store = createStore();
+    const winner = store.identify(null, null, 'Winner').account;
+    const loser = store.identify(null, null, 'Loser').account;
+
+    // A distance race won by the racer who crossed the line first with fewer points
+    const ratings = store.recordRace({
+        finishedAt: Date.now(),
+        results: [
+            { accountId: winner.id, name: 'Winner', score: 800, place: 1 },
+            { accountId: loser.id, name: 'Loser', score: 2000, place: 2 }
+        ]
+    });
+
+    assert.ok(ratings[winner.id].change > 0);
+    assert.ok(ratings[loser.id].change < 0);
+    assert.strictEqual(store.getPlayerProfile(winner.id).wins, 1);
+    assert.strictEqual(store.getPlayerProfile(loser.id).wins, 0);
+});
+
+test('racers sharing a place draw', () => {
+    const store = createStore();
+    const a = store.identify(null, null, 'Ada').account;
+    const b = store.identify(null, null, 'Bo').account;
+
+    const ratings = store.recordRace({
+        finishedAt: Date.now(),
+        results: [
+            { accountId: a.id, name: 'Ada', score: 900, place: 1 },
+            { accountId: b.id, name: 'Bo', score: 900, place: 1 }
+        ]
+    });
+
+    assert.strictEqual(ratings[a.id].change, 0);
+    assert.strictEqual(ratings[b.id].change, 0);
+});
+
+test('unknown leaderboard sorts fall back to best score', () => {
+    const store = createStore();
+    const low = store.identify(null, null, 'Low').account;
+    const high = store.identify(null, null, 'High').account;
+    store.recordRace({
+        finishedAt: Date.now(),
+        results: [
+            { accountId: low.id, name: 'Low', score: 100, place: 1 },
+            { accountId: high.id, name: 'High', score: 900, place: 2 }
+        ]
+    });
+
+    ['constructor', 'hasOwnProperty', 'nope'].forEach(sort => {
+        assert.deepStrictEqual(store.getLeaderboard(sort).map(p => p.name), ['High', 'Low']);
+    });
+    assert.deepStrictEqual(store.getLeaderboard('wins').map(p => p.name), ['Low', 'High']);
+});
@@ -0,0 +1,132 @@
+// The simulation must be deterministic - a replay rerun from the seed, config and recorded inputs
+// has to land on exactly the race the server ran
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createConfig,
+    createCarState,
+    createRng,
+    getTimeRemaining,
+    normalizeInput,
+    RaceSimulation,
+    simulateReplay,
+    rankPlayers,
+    getPlaces,
+    INPUT_KEYS
+} = require('../race-simulation');
+
+// Run a race the way the server does - every car mashes keys off its own RNG, inputs are recorded
+// whenever they change, keyed by the tick they apply to, and racers leave at the ticks given by
+// player number
+function runRace(seed, config, racers, leaveAt = {}) {
+    const players = {};
+    for (let playerNum = 1; playerNum <= racers; playerNum++) {
+        players[`racer-${playerNum}`] = {
+            id: `racer-${playerNum}`,
+            playerNum: playerNum,
+            name: `Racer ${playerNum}`,
+            ...createCarState(config),
+            input: normalizeInput(null),
+            rng: createRng(seed + playerNum)
+        };
+    }
+
+    const simulation = new RaceSimulation(players, seed, config);
+    const durationTicks = config.raceDurationSeconds * config.tickRate;
+    const recording = {
+        seed: simulation.seed,
+        config: config,
+        durationTicks: durationTicks,
+        players: Object.values(players).map(p => ({ id: p.id, playerNum: p.playerNum, name: p.name })),
+        inputs: [],
+        departures: []
+    };
+    const lastInputs = {};
+
+    while (true) {
+        simulation.gameState.timeRemaining = getTimeRemaining(simulation.tick, durationTicks, config);
+        if (simulation.gameState.timeRemaining <= 0) break;
+
+        Object.values(players).forEach(player => {
+            if (leaveAt[player.playerNum] === simulation.tick) {
+                delete players[player.id];
+                recording.departures.push({ tick: simulation.tick, playerNum: player.playerNum });
+            }
+        });
+
+        Object.values(players).forEach(player => {
+            // Hold keys for a while like a person would, rather than changing them every tick
+            if (player.rng() < 0.05) {
+                player.input = normalizeInput({
+                    up: player.rng() < 0.8,
+                    left: player.rng() < 0.3,
+                    right: player.rng() < 0.3
+                });
+            }
+
+            const input = player.input;
+            const last = lastInputs[player.playerNum];
+            if (!last || INPUT_KEYS.some(key => last[key] !== input[key])) {
+                recording.inputs.push({ tick: simulation.tick, playerNum: player.playerNum, input });
+                lastInputs[player.playerNum] = input;
+            }
+        });
+
+        simulation.step();
+        simulation.takeEvents();
+    }
+
+    return { replay: { ...recording, ticks: simulation.tick }, players };
+}
+
+function getScores(players) {
+    const scores = {};
+    Object.values(players).forEach(p => {
+        scores[p.playerNum] = Math.floor(p.score);
+    });
+    return scores;
+}
+
+test('a replay reproduces the final scores of the race', () => {
+    const config = createConfig({ raceDurationSeconds: 30 });
+    const { replay, players } = runRace(12345, config, 4);
+
+    const rerun = simulateReplay(replay, () => {});
+
+    assert.strictEqual(rerun.tick, replay.ticks);
+    assert.deepStrictEqual(getScores(rerun.players), getScores(players));
+});
+
+test('the same seed and inputs give the same race every time', () => {
+    const config = createConfig({ raceDurationSeconds: 20 });
+    const { replay } = runRace(777, config, 3);
+
+    const first = simulateReplay(replay, () => {});
+    const second = simulateReplay(replay, () => {});
+
+    assert.deepStrictEqual(getScores(first.players), getScores(second.players));
+    assert.deepStrictEqual(first.gameState, second.gameState);
+});
+
+test('a replay takes racers who left mid-race off at the same tick', () => {
+    const config = createConfig({ raceDurationSeconds: 30 });
+    const { replay, players } = runRace(4242, config, 3, { 2: 600 });
+
+    const rerun = simulateReplay(replay, () => {});
+
+    assert.deepStrictEqual(Object.keys(rerun.players), Object.keys(players));
+    assert.deepStrictEqual(getScores(rerun.players), getScores(players));
+});
+
+test('racers the mode cannot tell apart share a place', () => {
+    const config = createConfig({ mode: { type: 'distance' } });
+    const ranking = rankPlayers({
+        a: { score: 500, finishTick: 900, distance: 3000 },
+        b: { score: 200, finishTick: 800, distance: 3000 },
+        c: { score: 100, finishTick: null, distance: 2000 },
+        d: { score: 100, finishTick: null, distance: 2000 }
+    }, config);
+
+    assert.deepStrictEqual(ranking.map(p => p.score), [200, 500, 100, 100]);
+    assert.deepStrictEqual(getPlaces(ranking, config), [1, 2, 3, 3]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createConfig, createCarState, stepCar, normalizeInput } = require('../race-simulation');
+const { createRaceStats, recordTick, findNewAchievements } = require('../race-stats');
+
+// Hold the pedal down for a number of ticks, optionally on a boost pad from the start
+function drive(config, ticks, boosted) {
+    const car = createCarState(config);
+    const stats = createRaceStats();
+    if (boosted) {
+        car.boosting = true;
+        car.boostTime = config.boostPads.durationTicks;
+        car.maxSpeed = config.car.boostSpeed;
+    }
+
+    const input = normalizeInput({ up: true });
+    for (let i = 0; i < ticks; i++) {
+        stepCar(car, input, config);
+        recordTick(stats, car, [], 0);
+    }
+    return stats;
+}
+
+test('Speed Demon is earned on a boost pad but not without one', () => {
+    const config = createConfig();
+
+    const boosted = drive(config, config.boostPads.durationTicks, true);
+    assert.ok(findNewAchievements({ stats: boosted, config }, {}, true).includes('speedDemon'));
+
+    const flatOut = drive(config, 2000, false);
+    assert.ok(!findNewAchievements({ stats: flatOut, config }, {}, true).includes('speedDemon'));
+});
+
+test('Speed Demon follows the configured car', () => {
+    const config = createConfig({ car: { boostSpeed: 30 } });
+    const boosted = drive(createConfig(), createConfig().boostPads.durationTicks, true);
+
+    assert.ok(!findNewAchievements({ stats: boosted, config }, {}, true).includes('speedDemon'));
+});
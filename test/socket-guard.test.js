@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { guardSocket, sanitizeName, SOCKET_EVENTS, ValidationError } = require('../socket-guard');
+
+// Just enough of a Socket.IO socket for the guard - packets go through the middleware it installs
+function createSocket() {
+    const socket = {
+        id: 'socket-1',
+        disconnected: false,
+        emitted: [],
+        passed: [],
+        use(middleware) {
+            this.middleware = middleware;
+        },
+        emit(event, data) {
+            this.emitted.push({ event, data });
+        },
+        disconnect() {
+            this.disconnected = true;
+        },
+        send(event, data) {
+            const packet = [event, data];
+            this.middleware(packet, () => this.passed.push(packet));
+        }
+    };
+    guardSocket(socket);
+    return socket;
+}
+
+const lobby = { playerName: 'Racer', lobbyName: 'Friday Night' };
+
+test('schemas reject wrong types', () => {
+    const createLobby = SOCKET_EVENTS.createLobby.schema;
+
+    assert.throws(() => createLobby('not an object'), ValidationError);
+    assert.throws(() => createLobby({ ...lobby, maxPlayers: '4' }), ValidationError);
+    assert.throws(() => createLobby({ ...lobby, playerName: 42 }), ValidationError);
+    assert.throws(() => SOCKET_EVENTS.setReady.schema({ ready: 1 }), ValidationError);
+    assert.throws(() => SOCKET_EVENTS.playerInput.schema({ lobbyId: 'l', seq: 1, input: { up: 'yes' } }), ValidationError);
+});
+
+test('schemas reject values out of range', () => {
+    const createLobby = SOCKET_EVENTS.createLobby.schema;
+
+    assert.throws(() => createLobby({ ...lobby, maxPlayers: 1.5 }), ValidationError);
+    assert.throws(() => createLobby({ ...lobby, bots: -1 }), ValidationError);
+    assert.throws(() => createLobby({ ...lobby, botDifficulty: 'impossible' }), ValidationError);
+    assert.throws(() => createLobby({ ...lobby, disconnectPolicy: 'kick' }), ValidationError);
+    assert.throws(() => createLobby({ ...lobby, playerName: 'R' }), ValidationError);
+    assert.throws(() => SOCKET_EVENTS.leaveLobby.schema('x'.repeat(65)), ValidationError);
+    assert.throws(() => SOCKET_EVENTS.playerInput.schema({ lobbyId: 'l', seq: 0, input: {} }), ValidationError);
+    assert.throws(() => SOCKET_EVENTS.playerInput.schema({ lobbyId: 'l', seq: 1, input: { steer: 2 } }), ValidationError);
+});
+
+test('series lengths are limited to the ones the server plays', () => {
+    const createLobby = SOCKET_EVENTS.createLobby.schema;
+
+    [1, 3, 5, 7].forEach(seriesLength => {
+        assert.strictEqual(createLobby({ ...lobby, seriesLength }).seriesLength, seriesLength);
+    });
+    [2, 4, 6, 8, 9].forEach(seriesLength => {
+        assert.throws(() => createLobby({ ...lobby, seriesLength }), /Series length/);
+    });
+});
+
+test('schemas clean what they accept and drop unknown fields', () => {
+    const cleaned = SOCKET_EVENTS.createLobby.schema({ ...lobby, lobbyName: '  Friday\u200b   Night ', admin: true });
+
+    assert.strictEqual(cleaned.lobbyName, 'Friday Night');
+    assert.ok(!('admin' in cleaned));
+    assert.deepStrictEqual(
+        SOCKET_EVENTS.playerInput.schema({ lobbyId: 'l', seq: 1, input: { up: true, steer: 0.5, extra: 1 } }).input,
+        { up: true, down: false, left: false, right: false, steer: 0.5, throttle: 0 }
+    );
+});
+
+test('names lose markup characters', () => {
+    assert.strictEqual(sanitizeName('<b>Racer</b>'), 'bRacer/b');
+    assert.strictEqual(sanitizeName('Tom & "Jerry" `x`'), 'Tom Jerry x');
+    assert.strictEqual(sanitizeName('Ra\u0000cer\u202e'), 'Racer');
+});
+
+test('events past the burst are dropped', () => {
+    const socket = createSocket();
+    const [, burst] = SOCKET_EVENTS.getLobbies.rate;
+
+    for (let i = 0; i < burst + 5; i++) {
+        socket.send('getLobbies');
+    }
+
+    assert.strictEqual(socket.passed.length, burst);
+    assert.strictEqual(socket.disconnected, false);
+});
+
+test('invalid payloads are answered, and sockets that keep sending them are dropped', () => {
+    const socket = createSocket();
+
+    socket.send('setReady', { ready: 'yes' });
+    assert.strictEqual(socket.passed.length, 0);
+    assert.strictEqual(socket.emitted[0].event, 'invalidRequest');
+    assert.strictEqual(socket.emitted[0].data.event, 'setReady');
+
+    for (let i = 0; i < 40 && !socket.disconnected; i++) {
+        socket.send('noSuchEvent');
+    }
+    assert.strictEqual(socket.disconnected, true);
+});
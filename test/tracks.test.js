@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTracks, validateTrack, getTrackGeometry } = require('../tracks');
+
+test('the built-in tracks all load', () => {
+    const tracks = loadTracks();
+    const files = fs.readdirSync(path.join(__dirname, '..', 'tracks')).filter(file => file.endsWith('.json'));
+
+    assert.deepStrictEqual(Object.keys(tracks), files.map(file => path.basename(file, '.json')).sort());
+});
+
+test('a track has to end where it started', () => {
+    const segment = { length: 500, width: 300 };
+
+    assert.doesNotThrow(() => validateTrack({
+        name: 'Loop',
+        segments: [{ ...segment, shift: 40 }, { ...segment, shift: -40 }]
+    }));
+    assert.throws(() => validateTrack({
+        name: 'Drift',
+        segments: [{ ...segment, shift: 40 }, { ...segment, shift: -10 }]
+    }), /add up to 30/);
+});
+
+test('broken track files are left out', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracks-'));
+    fs.writeFileSync(path.join(dir, 'good.json'), JSON.stringify({ name: 'Good', segments: [{ length: 100, width: 300 }] }));
+    fs.writeFileSync(path.join(dir, 'narrow.json'), JSON.stringify({ name: 'Narrow', segments: [{ length: 100, width: 50 }] }));
+    fs.writeFileSync(path.join(dir, 'garbled.json'), '{ name: ');
+
+    assert.deepStrictEqual(Object.keys(loadTracks(dir)), ['good']);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('unknown and built-in object names race on the default track', () => {
+    const tracks = loadTracks();
+
+    assert.strictEqual(getTrackGeometry(tracks, 'canyon').id, 'canyon');
+    [undefined, 'no-such-track', 'constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(trackId => {
+        const geometry = getTrackGeometry(tracks, trackId);
+        assert.strictEqual(geometry.id, 'classic');
+        assert.ok(Array.isArray(geometry.segments));
+    });
+    assert.deepStrictEqual(getTrackGeometry({}, 'constructor'), {});
+});
@@ -0,0 +1,88 @@
+// Built-in tracks, one JSON file each in tracks/ - the file name is the track id
+const fs = require('fs');
+const path = require('path');
+
+const TRACKS_DIR = path.join(__dirname, 'tracks');
+const DEFAULT_TRACK_ID = 'classic';
+const ROAD_WIDTH = { min: 120, max: 360 };
+const MAX_TRACK_NAME_LENGTH = 30;
+
+// Throws with what is wrong, so a broken file is easy to fix
+function validateTrack(track) {
+    if (typeof track.name !== 'string' || track.name.length === 0 || track.name.length > MAX_TRACK_NAME_LENGTH) {
+        throw new Error(`name must be 1-${MAX_TRACK_NAME_LENGTH} characters`);
+    }
+    if (!Array.isArray(track.segments) || track.segments.length === 0) {
+        throw new Error('needs at least one segment');
+    }
+    if (track.offRoadDrag !== undefined && !(track.offRoadDrag > 0 && track.offRoadDrag <= 1)) {
+        throw new Error('offRoadDrag must be above 0 and at most 1');
+    }
+
+    let drift = 0;
+    track.segments.forEach((segment, index) => {
+        const { length, shift = 0, width, median = 0 } = segment;
+        if (!(length > 0)) {
+            throw new Error(`segment ${index} needs a positive length`);
+        }
+        if (!(width >= ROAD_WIDTH.min && width <= ROAD_WIDTH.max)) {
+            throw new Error(`segment ${index} width must be ${ROAD_WIDTH.min}-${ROAD_WIDTH.max}`);
+        }
+        if (!(median >= 0 && median < width / 2)) {
+            throw new Error(`segment ${index} median must leave room for cars either side`);
+        }
+        if (!Number.isFinite(shift)) {
+            throw new Error(`segment ${index} shift must be a number`);
+        }
+        drift += shift;
+    });
+
+    // Tracks loop, so the road has to end up where it started
+    if (drift !== 0) {
+        throw new Error(`segment shifts add up to ${drift}, not 0`);
+    }
+}
+
+// Tracks by id, in file name order - broken files are reported and left out
+function loadTracks(dir = TRACKS_DIR) {
+    const tracks = {};
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const id = path.basename(file, '.json');
+            try {
+                const track = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                validateTrack(track);
+                tracks[id] = {
+                    id: id,
+                    name: track.name,
+                    description: track.description || '',
+                    offRoadDrag: track.offRoadDrag,
+                    segments: track.segments.map(({ length, shift = 0, width, median = 0 }) => ({ length, shift, width, median }))
+                };
+            } catch (err) {
+                console.error(`Skipping track ${file}:`, err.message);
+            }
+        });
+
+    console.log(`Loaded ${Object.keys(tracks).length} tracks from ${dir}`);
+    return tracks;
+}
+
+// The parts of a track the simulation drives on - ids come from clients, so anything that isn't one
+// of the loaded tracks races on the default track (or the first one, without a default)
+function getTrackGeometry(tracks, trackId) {
+    const fallbackId = Object.hasOwn(tracks, DEFAULT_TRACK_ID) ? DEFAULT_TRACK_ID : Object.keys(tracks)[0];
+    const track = Object.hasOwn(tracks, trackId) ? tracks[trackId] : tracks[fallbackId];
+    if (!track) return {}; // No track files at all, so the built-in straight road
+
+    const geometry = { id: track.id, name: track.name, segments: track.segments };
+    if (track.offRoadDrag !== undefined) {
+        geometry.offRoadDrag = track.offRoadDrag;
+    }
+    return geometry;
+}
+
+module.exports = { loadTracks, validateTrack, getTrackGeometry };